@@ -1,4 +1,6 @@
 const authService = require('../services/authService');
+const roomService = require('../services/roomService');
+const permissionService = require('../services/permissionService');
 
 /**
  * Middleware to authenticate requests
@@ -11,7 +13,7 @@ const authenticate = async (req, res, next) => {
     if (!authHeader) {
       return res.status(401).json({
         success: false,
-        message: 'No authorization header provided'
+        message: req.t('auth.noAuthHeader')
       });
     }
 
@@ -33,7 +35,7 @@ const authenticate = async (req, res, next) => {
       } catch (jwtError) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid token'
+          message: req.t('auth.invalidToken')
         });
       }
     }
@@ -41,7 +43,7 @@ const authenticate = async (req, res, next) => {
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: req.t('auth.userNotFound')
       });
     }
 
@@ -51,7 +53,7 @@ const authenticate = async (req, res, next) => {
   } catch (error) {
     return res.status(401).json({
       success: false,
-      message: 'Authentication failed',
+      message: req.t('auth.failed'),
       error: error.message
     });
   }
@@ -70,8 +72,17 @@ const optionalAuth = async (req, res, next) => {
         : authHeader;
 
       try {
-        const decodedToken = await authService.verifyToken(token);
-        const user = await authService.getUserById(decodedToken.uid);
+        let user = null;
+
+        // Same token types as authenticate - Firebase first, then JWT
+        try {
+          const decodedToken = await authService.verifyToken(token);
+          user = await authService.getUserById(decodedToken.uid);
+        } catch (firebaseError) {
+          const decoded = authService.verifyJWT(token);
+          user = await authService.getUserById(decoded.userId);
+        }
+
         if (user) {
           req.user = user;
           req.userId = user.uid || user.id;
@@ -87,8 +98,60 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to require a permission (see permissionService.PERMISSIONS) -
+ * put it after authenticate
+ * Room permissions load the room named by `roomParam` first (404 when it does
+ * not exist) and leave it on `req.room`. `message` is the message key sent
+ * with the 403.
+ */
+const authorize = (permission, { roomParam = null, message = 'common.forbidden' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      let room = null;
+
+      if (roomParam) {
+        room = await roomService.getRoomById(req.params[roomParam]);
+        if (!room) {
+          return res.status(404).json({
+            success: false,
+            message: req.t('rooms.notFound')
+          });
+        }
+        req.room = room;
+      }
+
+      if (!permissionService.can(req.user, permission, { room })) {
+        return res.status(403).json({
+          success: false,
+          message: req.t(message)
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Check a permission for a socket event - emits an error (`message` key) to
+ * the socket and returns false when it is missing
+ * The role is the one the user had when the socket connected.
+ */
+const authorizeSocket = (socket, permission, { room = null, message = 'common.forbidden' } = {}) => {
+  if (permissionService.can(socket.user, permission, { room })) {
+    return true;
+  }
+
+  socket.emit('error', { message: socket.t(message) });
+  return false;
+};
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  authorize,
+  authorizeSocket
 };
-
@@ -0,0 +1,18 @@
+const i18nService = require('../services/i18nService');
+
+/**
+ * Middleware giving each request its locale and `req.t(key, params)` (or
+ * `req.t(error)`) to render messages in it
+ * The user's profile `locale` wins over Accept-Language. The locale is worked
+ * out when a message is rendered, so routes that authenticate after this
+ * middleware still get the profile's.
+ */
+const locale = (req, res, next) => {
+  const accepted = i18nService.parseAcceptLanguage(req.headers['accept-language']);
+
+  req.getLocale = () => i18nService.resolveLocale(req.user && req.user.locale, ...accepted);
+  req.t = (message, params) => i18nService.localize(req.getLocale(), message, params);
+  next();
+};
+
+module.exports = { locale };
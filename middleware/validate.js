@@ -0,0 +1,28 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Render a validator message - a message key, or `{ key, params }`
+ */
+const toMessage = (req, msg) => (msg && typeof msg === 'object' ? req.t(msg.key, msg.params) : req.t(msg));
+
+/**
+ * Middleware to reject requests that failed their express-validator checks
+ * Put it after the route's validators. Their `withMessage` takes message keys
+ * (see i18nService), rendered in the user's locale.
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const details = errors.array().map(error => ({ ...error, msg: toMessage(req, error.msg) }));
+    return res.status(400).json({
+      success: false,
+      message: details[0].msg,
+      errors: details
+    });
+  }
+
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,10 @@
+const seed = require('../seeds/001-default-games.json');
+
+/**
+ * The five default games and their questions (created on every boot by
+ * gameService.initializeDefaultGames before migrations existed)
+ */
+module.exports = {
+  description: seed.description,
+  up: ({ seedGames }) => seedGames(seed.games)
+};
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 const authService = require('../services/authService');
-const { authenticate } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const i18nService = require('../services/i18nService');
+const ratingService = require('../services/ratingService');
+const contentFilterService = require('../services/contentFilterService');
+const { ROLES, PERMISSIONS, getUserRole } = require('../services/permissionService');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 /**
  * POST /api/auth/login
@@ -32,7 +39,7 @@ router.post('/login', async (req, res, next) => {
       if (!email || !password) {
         return res.status(400).json({
           success: false,
-          message: 'Email and password are required'
+          message: req.t('auth.credentialsRequired')
         });
       }
 
@@ -49,7 +56,7 @@ router.post('/login', async (req, res, next) => {
     } else {
       return res.status(400).json({
         success: false,
-        message: 'Email and password, or idToken is required'
+        message: req.t('auth.credentialsOrTokenRequired')
       });
     }
 
@@ -74,7 +81,7 @@ router.post('/login', async (req, res, next) => {
         error.message === 'Invalid email or password') {
       return res.status(401).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
     next(error);
@@ -89,7 +96,7 @@ router.get('/me', authenticate, async (req, res, next) => {
   try {
     res.json({
       success: true,
-      user: req.user
+      user: { ...req.user, role: getUserRole(req.user) }
     });
   } catch (error) {
     next(error);
@@ -105,6 +112,21 @@ router.post('/register', async (req, res, next) => {
   try {
     const { email, password, name, idToken } = req.body;
 
+    // Names are shown to other players
+    if (name) {
+      try {
+        await contentFilterService.checkFields({ name }, {
+          source: contentFilterService.SOURCES.USERNAME,
+          userId: null
+        });
+      } catch (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: req.t(filterError)
+        });
+      }
+    }
+
     let user;
 
     // Support idToken for backward compatibility
@@ -112,7 +134,7 @@ router.post('/register', async (req, res, next) => {
       if (!name) {
         return res.status(400).json({
           success: false,
-          message: 'Name is required'
+          message: req.t('auth.nameRequired')
         });
       }
 
@@ -130,7 +152,7 @@ router.post('/register', async (req, res, next) => {
       if (!email || !password || !name) {
         return res.status(400).json({
           success: false,
-          message: 'Email, password, and name are required'
+          message: req.t('auth.registrationFieldsRequired')
         });
       }
 
@@ -139,7 +161,7 @@ router.post('/register', async (req, res, next) => {
       if (!emailRegex.test(email)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid email format'
+          message: req.t('auth.invalidEmailFormat')
         });
       }
 
@@ -147,7 +169,7 @@ router.post('/register', async (req, res, next) => {
       if (password.length < 8) {
         return res.status(400).json({
           success: false,
-          message: 'Password must be at least 8 characters'
+          message: req.t('auth.passwordLength', { min: 8 })
         });
       }
 
@@ -160,7 +182,7 @@ router.post('/register', async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: req.t('auth.registered'),
       user: {
         id: user.id || user.uid,
         email: user.email,
@@ -174,7 +196,7 @@ router.post('/register', async (req, res, next) => {
     if (error.message === 'Email already registered' || error.message === 'Invalid token') {
       return res.status(409).json({
         success: false,
-        message: error.message === 'Invalid token' ? 'Invalid authentication token' : error.message
+        message: error.message === 'Invalid token' ? req.t('auth.invalidAuthToken') : req.t(error)
       });
     }
     next(error);
@@ -184,13 +206,27 @@ router.post('/register', async (req, res, next) => {
 
 /**
  * PUT /api/auth/profile
- * Update user profile
+ * Update user profile (`locale` picks the language of server messages; null
+ * goes back to Accept-Language). `maxRating` and `isMinor` limit the content
+ * rating of the rooms the user plays in.
  */
 router.put('/profile', authenticate, async (req, res, next) => {
   try {
-    const { displayName, username, photoURL, about } = req.body;
-    const { getDb } = require('../services/firebaseService');
-    const db = getDb();
+    const { displayName, username, photoURL, about, locale, maxRating, isMinor } = req.body;
+    const { getStorage } = require('../services/firebaseService');
+    const storage = getStorage();
+
+    try {
+      await contentFilterService.checkFields({ displayName, username }, {
+        source: contentFilterService.SOURCES.USERNAME,
+        userId: req.userId
+      });
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: req.t(filterError)
+      });
+    }
 
     const updateData = {
       updatedAt: new Date().toISOString()
@@ -200,8 +236,35 @@ router.put('/profile', authenticate, async (req, res, next) => {
     if (username) updateData.username = username;
     if (photoURL) updateData.photoURL = photoURL;
     if (about !== undefined) updateData.about = about;
+    if (locale !== undefined) {
+      if (locale !== null && !i18nService.normalizeLocale(locale)) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('auth.invalidLocale')
+        });
+      }
+      updateData.locale = locale === null ? null : i18nService.normalizeLocale(locale);
+    }
+    if (maxRating !== undefined) {
+      if (maxRating !== null && !ratingService.isRating(maxRating)) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('auth.invalidMaxRating', { ratings: ratingService.RATING_ORDER.join(', ') })
+        });
+      }
+      updateData.maxRating = maxRating;
+    }
+    if (isMinor !== undefined) {
+      if (typeof isMinor !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: req.t('auth.invalidIsMinor')
+        });
+      }
+      updateData.isMinor = isMinor;
+    }
 
-    await db.collection('users').doc(req.userId).update(updateData);
+    await storage.update('users', req.userId, updateData);
 
     const updatedUser = await authService.getUserById(req.userId);
 
@@ -214,6 +277,57 @@ router.put('/profile', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/auth/users/:userId/role
+ * Set a user's role (admins only)
+ */
+router.put('/users/:userId/role',
+  authenticate,
+  authorize(PERMISSIONS.MANAGE_ROLES, { message: 'auth.rolesAdminOnly' }),
+  [
+    body('role').isIn(Object.values(ROLES)).withMessage({ key: 'auth.invalidRole', params: { roles: Object.values(ROLES).join(', ') } })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (userId === req.userId) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('auth.ownRole')
+        });
+      }
+
+      const before = await authService.getUserById(userId);
+      const user = await authService.setUserRole(userId, role);
+
+      await auditService.recordChange({
+        scope: 'roles',
+        action: 'role_changed',
+        actor: {
+          userId: req.userId,
+          username: req.user.displayName || req.user.username || 'Anonymous'
+        },
+        target: { targetUserId: userId },
+        changes: { before: getUserRole(before), after: role }
+      });
+
+      res.json({
+        success: true,
+        message: req.t('auth.roleSet', { role }),
+        user: { id: userId, displayName: user.displayName, username: user.username, role }
+      });
+    } catch (error) {
+      res.status(error.messageKey === 'auth.userNotFound' ? 404 : 400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
 module.exports = router;
 
 
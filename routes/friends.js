@@ -16,14 +16,14 @@ router.post('/request',
       if (!userId) {
         return res.status(400).json({
           success: false,
-          message: 'User ID is required'
+          message: req.t('friends.userIdRequired')
         });
       }
 
       if (userId === req.userId) {
         return res.status(400).json({
           success: false,
-          message: 'Cannot send friend request to yourself'
+          message: req.t('friends.notYourself')
         });
       }
 
@@ -36,7 +36,7 @@ router.post('/request',
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -60,7 +60,7 @@ router.post('/accept/:requestId',
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -124,7 +124,7 @@ router.delete('/:friendshipId',
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -1,7 +1,64 @@
 const express = require('express');
 const router = express.Router();
+const { body, query } = require('express-validator');
 const gameService = require('../services/gameService');
-const { optionalAuth } = require('../middleware/auth');
+const catalogService = require('../services/catalogService');
+const packService = require('../services/packService');
+const questionFileService = require('../services/questionFileService');
+const questionStatsService = require('../services/questionStatsService');
+const analyticsService = require('../services/analyticsService');
+const ratingService = require('../services/ratingService');
+const { PERMISSIONS, can } = require('../services/permissionService');
+const { authenticate, optionalAuth, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+/**
+ * Validator for a content rating field
+ */
+const ratingValidator = (location, name) => location(name).optional().isIn(ratingService.RATING_ORDER)
+  .withMessage({ key: 'validation.rating', params: { ratings: ratingService.RATING_ORDER.join(', ') } });
+
+/**
+ * Validators for a question pack (`required` for creation, optional fields
+ * for updates)
+ */
+const packValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().trim().isLength({ min: 3, max: 50 }).withMessage('validation.packName'),
+    body('description').optional().isString().trim().isLength({ max: 300 }).withMessage({ key: 'validation.description', params: { max: 300 } }),
+    body('visibility').optional().isIn(Object.values(packService.VISIBILITY))
+      .withMessage({ key: 'validation.visibility', params: { values: Object.values(packService.VISIBILITY).join(', ') } }),
+    ratingValidator(body, 'rating'),
+    field('questions').isArray({ min: 1, max: packService.MAX_PACK_QUESTIONS })
+      .withMessage({ key: 'validation.packQuestions', params: { max: packService.MAX_PACK_QUESTIONS } })
+  ];
+};
+
+// Pack service errors sent as 404
+const PACK_NOT_FOUND = ['packs.notFound', 'packs.idNotFound', 'games.notFound'];
+
+/**
+ * Send a pack service error with the matching status
+ */
+const sendPackError = (req, res, error) => {
+  const status = error.messageKey === 'common.unauthorized' ? 403
+    : PACK_NOT_FOUND.includes(error.messageKey) ? 404
+      : 400;
+
+  res.status(status).json({
+    success: false,
+    message: status === 403 ? req.t('packs.ownerOnly') : req.t(error)
+  });
+};
+
+/**
+ * Admins see the whole catalog (disabled games, retired questions), players
+ * only what can be played
+ */
+const isAdminRequest = (req) => can(req.user, PERMISSIONS.MANAGE_CATALOG);
+
+const toGameView = (req, game) => (isAdminRequest(req) ? game : gameService.toPublicGame(game));
 
 /**
  * GET /api/games
@@ -9,35 +66,654 @@ const { optionalAuth } = require('../middleware/auth');
  */
 router.get('/', optionalAuth, async (req, res, next) => {
   try {
-    const games = await gameService.getAllGames();
+    const games = await gameService.getAllGames({ includeDisabled: isAdminRequest(req) });
     res.json({
       success: true,
-      games
+      games: games.map(game => toGameView(req, game))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send exported questions as a file download
+ */
+const sendQuestionFile = (res, fileName, format, content) => {
+  const name = `${fileName.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'questions'}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${name}"`);
+  res.type(format === questionFileService.FORMATS.CSV ? 'text/csv' : 'application/json');
+  res.send(content);
+};
+
+/**
+ * Validator for an optional file `format` (in the query or the body)
+ */
+const formatValidator = (location) => location('format')
+  .optional()
+  .isIn(Object.values(questionFileService.FORMATS))
+  .withMessage({ key: 'validation.format', params: { formats: Object.values(questionFileService.FORMATS).join(' or ') } });
+
+/**
+ * GET /api/games/packs
+ * Get the question packs the user can see (public, own and friends'),
+ * optionally for one game (?gameId=) or up to a rating (?maxRating=)
+ */
+router.get('/packs', optionalAuth, [
+  query('gameId').optional().isString().notEmpty().withMessage('validation.gameIdString'),
+  ratingValidator(query, 'maxRating')
+], validate, async (req, res, next) => {
+  try {
+    const packs = await packService.getVisiblePacks(req.userId || null, {
+      gameId: req.query.gameId,
+      maxRating: req.query.maxRating
+    });
+
+    res.json({
+      success: true,
+      packs
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/games/packs/mine
+ * Get the user's own question packs
+ */
+router.get('/packs/mine', authenticate, async (req, res, next) => {
+  try {
+    const packs = await packService.getUserPacks(req.userId);
+
+    res.json({
+      success: true,
+      packs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/packs/:packId
+ * Get a question pack the user can see
+ */
+router.get('/packs/:packId', optionalAuth, async (req, res, next) => {
+  try {
+    const pack = await packService.getVisiblePack(req.params.packId, req.userId || null);
+
+    if (!pack) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('packs.notFound')
+      });
+    }
+
+    res.json({
+      success: true,
+      pack
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/packs/:packId/export?format=json|csv
+ * Download a question pack the user can see
+ */
+router.get('/packs/:packId/export', optionalAuth, [formatValidator(query)], validate, async (req, res, next) => {
+  try {
+    const pack = await packService.getVisiblePack(req.params.packId, req.userId || null);
+
+    if (!pack) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('packs.notFound')
+      });
+    }
+
+    const format = req.query.format || questionFileService.FORMATS.JSON;
+    const game = { id: pack.gameId, name: pack.gameName, mode: pack.mode };
+    sendQuestionFile(res, pack.name, format, questionFileService.formatQuestions(game, pack.questions || [], format));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/games/packs
+ * Create a question pack for a game
+ */
+router.post('/packs',
+  authenticate,
+  [
+    body('gameId').isString().notEmpty().withMessage('validation.gameIdRequired'),
+    ...packValidators(true)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { gameId, name, description, visibility, rating, questions } = req.body;
+      const pack = await packService.createPack({
+        userId: req.userId,
+        username: req.user.displayName || req.user.username || 'Anonymous'
+      }, { gameId, name, description, visibility, rating, questions });
+
+      res.status(201).json({
+        success: true,
+        pack
+      });
+    } catch (error) {
+      sendPackError(req, res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/games/packs/:packId
+ * Update a question pack (owner only)
+ */
+router.put('/packs/:packId',
+  authenticate,
+  packValidators(false),
+  validate,
+  async (req, res) => {
+    try {
+      const { name, description, visibility, rating, questions } = req.body;
+      const pack = await packService.updatePack(req.params.packId, req.userId, {
+        name,
+        description,
+        visibility,
+        rating,
+        questions
+      });
+
+      res.json({
+        success: true,
+        pack
+      });
+    } catch (error) {
+      sendPackError(req, res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/games/packs/:packId
+ * Delete a question pack (owner only)
+ */
+router.delete('/packs/:packId', authenticate, async (req, res) => {
+  try {
+    await packService.deletePack(req.params.packId, req.userId);
+
+    res.json({
+      success: true,
+      message: req.t('packs.deleted')
+    });
+  } catch (error) {
+    sendPackError(req, res, error);
+  }
+});
+
+/**
+ * Catalog management (admins)
+ * Every change is recorded in the audit trail with who made it and when.
+ */
+
+const requireCatalogAdmin = authorize(PERMISSIONS.MANAGE_CATALOG, { message: 'catalog.adminOnly' });
+
+/**
+ * Who is making a catalog change, for the audit trail
+ */
+const getActor = (req) => ({
+  userId: req.userId,
+  username: req.user.displayName || req.user.username || 'Anonymous'
+});
+
+// Catalog service errors sent as 404
+const CATALOG_NOT_FOUND = ['games.notFound', 'catalog.questionNotFound'];
+
+/**
+ * Send a catalog service error with the matching status
+ */
+const sendCatalogError = (req, res, error) => {
+  res.status(CATALOG_NOT_FOUND.includes(error.messageKey) ? 404 : 400).json({
+    success: false,
+    message: req.t(error)
+  });
+};
+
+/**
+ * Validators for a game's details (`required` for creation, optional fields
+ * for updates)
+ */
+const gameValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().trim().isLength({ min: 2, max: 50 }).withMessage('validation.gameName'),
+    body('description').optional().isString().trim().isLength({ max: 500 }).withMessage({ key: 'validation.description', params: { max: 500 } }),
+    field('category').isString().trim().isLength({ min: 1, max: 30 }).withMessage('validation.category'),
+    body('mode').optional().isString().withMessage('validation.mode'),
+    body('minPlayers').optional().isInt({ min: 1, max: 50 }).toInt().withMessage('validation.minPlayers'),
+    body('maxPlayers').optional().isInt({ min: 1, max: 50 }).toInt().withMessage('validation.maxPlayersCatalog'),
+    body('enabled').optional().isBoolean().toBoolean().withMessage('validation.enabled')
+  ];
+};
+
+/**
+ * Validator for a list of IDs to reorder by
+ */
+const orderValidator = (name) => [
+  body(name).isArray({ min: 1 }).withMessage({ key: 'validation.idList', params: { field: name } }),
+  body(`${name}.*`).isString().withMessage({ key: 'validation.idListItems', params: { field: name } })
+];
+
+/**
+ * GET /api/games/audit?gameId=&limit=
+ * Get the latest catalog changes, optionally for one game
+ */
+router.get('/audit', authenticate, requireCatalogAdmin, [
+  query('gameId').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt().withMessage({ key: 'validation.limit', params: { max: 200 } })
+], validate, async (req, res, next) => {
+  try {
+    const changes = await catalogService.getCatalogChanges({
+      gameId: req.query.gameId,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      changes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/analytics?gameId=&from=&to=&format=
+ * How each question performed between two dates (each optional) - offers,
+ * wins, skips, answer time, reports and thumbs - for one game or all of them,
+ * as JSON or a CSV download
+ */
+router.get('/analytics', authenticate, requireCatalogAdmin, [
+  query('gameId').optional().isString(),
+  query('from').optional().isISO8601().withMessage({ key: 'validation.date', params: { field: 'from' } }),
+  query('to').optional().isISO8601().withMessage({ key: 'validation.date', params: { field: 'to' } }),
+  formatValidator(query)
+], validate, async (req, res) => {
+  try {
+    const analytics = await analyticsService.getQuestionAnalytics({
+      gameId: req.query.gameId,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    if (req.query.format === analyticsService.FORMATS.CSV) {
+      sendQuestionFile(res, 'question-analytics', analyticsService.FORMATS.CSV, analyticsService.formatCsv(analytics));
+      return;
+    }
+
+    res.json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * POST /api/games
+ * Create a game (its questions are optional and can be added later)
+ */
+router.post('/',
+  authenticate,
+  requireCatalogAdmin,
+  [
+    ...gameValidators(true),
+    body('questions').optional().isArray({ max: questionFileService.MAX_IMPORT_QUESTIONS })
+      .withMessage({ key: 'validation.catalogQuestions', params: { max: questionFileService.MAX_IMPORT_QUESTIONS } })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const game = await catalogService.createGame(getActor(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        message: req.t('catalog.gameCreated'),
+        game
+      });
+    } catch (error) {
+      sendCatalogError(req, res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/games/order
+ * Set the order games are listed in ({ gameIds } - every game once)
+ */
+router.put('/order', authenticate, requireCatalogAdmin, orderValidator('gameIds'), validate, async (req, res) => {
+  try {
+    const games = await catalogService.reorderGames(getActor(req), req.body.gameIds);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.gamesReordered'),
+      games
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * PATCH /api/games/:gameId
+ * Edit a game's details, or enable/disable it ({ enabled })
+ */
+router.patch('/:gameId', authenticate, requireCatalogAdmin, gameValidators(false), validate, async (req, res) => {
+  try {
+    const game = await catalogService.updateGame(getActor(req), req.params.gameId, req.body);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.gameUpdated'),
+      game
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * DELETE /api/games/:gameId
+ * Delete a game (disabling it keeps it around instead)
+ */
+router.delete('/:gameId', authenticate, requireCatalogAdmin, async (req, res) => {
+  try {
+    await catalogService.deleteGame(getActor(req), req.params.gameId);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.gameDeleted')
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * POST /api/games/:gameId/questions
+ * Add a question (with the fields of the game's mode, and an optional `id`)
+ */
+router.post('/:gameId/questions', authenticate, requireCatalogAdmin, [
+  body('id').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('validation.questionId')
+], validate, async (req, res) => {
+  try {
+    const game = await catalogService.addQuestion(getActor(req), req.params.gameId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('catalog.questionAdded'),
+      question: game.questions[game.questions.length - 1]
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * POST /api/games/:gameId/questions/import
+ * Import a JSON or CSV file of questions into the game itself:
+ * `{ format, content, dryRun }` (see POST /:gameId/import for packs)
+ */
+router.post('/:gameId/questions/import', authenticate, requireCatalogAdmin, [
+  formatValidator(body),
+  body('content').isString().notEmpty().withMessage('validation.fileContent'),
+  body('dryRun').optional().isBoolean().withMessage('validation.dryRun')
+], validate, async (req, res) => {
+  try {
+    const { content, format, dryRun } = req.body;
+    const report = await catalogService.importQuestions(getActor(req), req.params.gameId, content, format || questionFileService.FORMATS.JSON, {
+      dryRun: dryRun === true
+    });
+
+    if (report.invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('catalog.importInvalid', { count: report.invalid.length }),
+        report
+      });
+    }
+
+    res.status(report.imported ? 201 : 200).json({
+      success: true,
+      ...(report.imported ? { message: req.t('catalog.questionsImported', { count: report.added }) } : {}),
+      report
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * PUT /api/games/:gameId/questions/order
+ * Put a game's questions in order ({ questionIds } - every question once)
+ */
+router.put('/:gameId/questions/order', authenticate, requireCatalogAdmin, orderValidator('questionIds'), validate, async (req, res) => {
+  try {
+    const game = await catalogService.reorderQuestions(getActor(req), req.params.gameId, req.body.questionIds);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.questionsReordered'),
+      questions: game.questions
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * PATCH /api/games/:gameId/questions/:questionId
+ * Edit a question
+ */
+router.patch('/:gameId/questions/:questionId', authenticate, requireCatalogAdmin, async (req, res) => {
+  try {
+    const { gameId, questionId } = req.params;
+    const { id, retired, retiredAt, retiredBy, ...updates } = req.body;
+    const game = await catalogService.updateQuestion(getActor(req), gameId, questionId, updates);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.questionUpdated'),
+      question: game.questions.find(q => q.id === questionId)
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * POST /api/games/:gameId/questions/:questionId/retire
+ * Retire a question - it stays on the game but is no longer drawn
+ */
+router.post('/:gameId/questions/:questionId/retire', authenticate, requireCatalogAdmin, async (req, res) => {
+  try {
+    const { gameId, questionId } = req.params;
+    const game = await catalogService.setQuestionRetired(getActor(req), gameId, questionId, true);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.questionRetired'),
+      question: game.questions.find(q => q.id === questionId)
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
+/**
+ * POST /api/games/:gameId/questions/:questionId/restore
+ * Bring a retired question back
+ */
+router.post('/:gameId/questions/:questionId/restore', authenticate, requireCatalogAdmin, async (req, res) => {
+  try {
+    const { gameId, questionId } = req.params;
+    const game = await catalogService.setQuestionRetired(getActor(req), gameId, questionId, false);
+
+    res.json({
+      success: true,
+      message: req.t('catalog.questionRestored'),
+      question: game.questions.find(q => q.id === questionId)
+    });
+  } catch (error) {
+    sendCatalogError(req, res, error);
+  }
+});
+
 /**
  * GET /api/games/:gameId
- * Get game by ID
+ * Get game by ID (disabled games for admins only)
  */
 router.get('/:gameId', optionalAuth, async (req, res, next) => {
   try {
     const { gameId } = req.params;
     const game = await gameService.getGameById(gameId);
 
-    if (!game) {
+    if (!game || !(isAdminRequest(req) || gameService.isGameEnabled(game))) {
       return res.status(404).json({
         success: false,
-        message: 'Game not found'
+        message: req.t('games.notFound')
       });
     }
 
     res.json({
       success: true,
-      game
+      game: toGameView(req, game)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/:gameId/export?format=json|csv
+ * Download a game's questions (disabled games for admins only)
+ */
+router.get('/:gameId/export', optionalAuth, [formatValidator(query)], validate, async (req, res, next) => {
+  try {
+    const format = req.query.format || questionFileService.FORMATS.JSON;
+    const { game, content } = await gameService.exportGameQuestions(req.params.gameId, format, {
+      includeDisabled: isAdminRequest(req)
+    });
+    sendQuestionFile(res, game.name, format, content);
+  } catch (error) {
+    if (error.messageKey === 'games.notFound') {
+      return res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/games/:gameId/import
+ * Import a JSON or CSV file of questions into a new pack, or into one of the
+ * user's packs (`packId`). `dryRun: true` only returns the report.
+ */
+router.post('/:gameId/import',
+  authenticate,
+  [
+    formatValidator(body),
+    body('content').isString().notEmpty().withMessage('validation.fileContent'),
+    body('dryRun').optional().isBoolean().withMessage('validation.dryRun'),
+    body('packId').optional().isString().notEmpty().withMessage('validation.packIdString'),
+    body('name').optional().isString().trim().isLength({ min: 3, max: 50 }).withMessage('validation.packName'),
+    body('description').optional().isString().trim().isLength({ max: 300 }).withMessage({ key: 'validation.description', params: { max: 300 } }),
+    body('visibility').optional().isIn(Object.values(packService.VISIBILITY))
+      .withMessage({ key: 'validation.visibility', params: { values: Object.values(packService.VISIBILITY).join(', ') } }),
+    ratingValidator(body, 'rating')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { content, format, dryRun, packId, name, description, visibility, rating } = req.body;
+      const { report, pack } = await packService.importPackQuestions({
+        userId: req.userId,
+        username: req.user.displayName || req.user.username || 'Anonymous'
+      }, req.params.gameId, content, format || questionFileService.FORMATS.JSON, {
+        dryRun: dryRun === true,
+        packId,
+        name,
+        description,
+        visibility,
+        rating
+      });
+
+      if (report.invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('packs.importInvalid', { count: report.invalid.length }),
+          report
+        });
+      }
+
+      res.status(report.imported && !packId ? 201 : 200).json({
+        success: true,
+        report,
+        pack
+      });
+    } catch (error) {
+      sendPackError(req, res, error);
+    }
+  }
+);
+
+/**
+ * GET /api/games/:gameId/stats
+ * Get global stats (option splits across all rooms) for every question of a game
+ */
+router.get('/:gameId/stats', optionalAuth, async (req, res, next) => {
+  try {
+    const { gameId } = req.params;
+    const stats = await questionStatsService.getGameQuestionStats(gameId);
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/:gameId/questions/:questionId/stats
+ * Get global stats for a single question
+ */
+router.get('/:gameId/questions/:questionId/stats', optionalAuth, async (req, res, next) => {
+  try {
+    const { gameId, questionId } = req.params;
+    const stats = await questionStatsService.getQuestionStats(gameId, questionId);
+
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('games.noStats')
+      });
+    }
+
+    res.json({
+      success: true,
+      stats
     });
   } catch (error) {
     next(error);
@@ -51,11 +727,11 @@ router.get('/:gameId', optionalAuth, async (req, res, next) => {
 router.get('/category/:category', optionalAuth, async (req, res, next) => {
   try {
     const { category } = req.params;
-    const games = await gameService.getGamesByCategory(category);
+    const games = await gameService.getGamesByCategory(category, { includeDisabled: isAdminRequest(req) });
 
     res.json({
       success: true,
-      games
+      games: games.map(game => toGameView(req, game))
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const contentFilterService = require('../services/contentFilterService');
+const reportService = require('../services/reportService');
+const { PERMISSIONS } = require('../services/permissionService');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const requireModerator = authorize(PERMISSIONS.MODERATE, { message: 'moderation.moderatorsOnly' });
+
+const { TARGETS, REASONS, STATUSES, MAX_DETAILS_LENGTH } = reportService;
+
+/**
+ * Who is reporting or deciding, as stored on the report
+ */
+const getActor = (req) => ({
+  userId: req.userId,
+  username: req.user.displayName || req.user.username || 'Anonymous'
+});
+
+// Report service errors sent as 404
+const REPORT_NOT_FOUND = [
+  'moderation.reportNotFound', 'games.notFound', 'packs.notFound', 'catalog.questionNotFound', 'rooms.notFound'
+];
+
+/**
+ * Send a report service error with the matching status - anything else
+ * (storage failures...) goes to the error handler
+ */
+const sendReportError = (req, res, next, error) => {
+  if (!error.messageKey) {
+    return next(error);
+  }
+
+  res.status(REPORT_NOT_FOUND.includes(error.messageKey) ? 404 : 400).json({
+    success: false,
+    message: req.t(error)
+  });
+};
+
+const noteValidator = body('note').optional().isString().trim().isLength({ max: MAX_DETAILS_LENGTH })
+  .withMessage({ key: 'validation.note', params: { max: MAX_DETAILS_LENGTH } });
+
+/**
+ * POST /api/moderation/reports
+ * Report a question (`{ target: 'question', gameId, questionId }`) or what
+ * another player wrote in your room (`{ target: 'answer', roomId, userId }`),
+ * with a `reason` and optional `details`
+ */
+router.post('/reports', authenticate, [
+  body('target').isIn(Object.values(TARGETS))
+    .withMessage({ key: 'validation.reportTarget', params: { targets: Object.values(TARGETS).join(', ') } }),
+  body('reason').isIn(Object.values(REASONS))
+    .withMessage({ key: 'validation.reportReason', params: { reasons: Object.values(REASONS).join(', ') } }),
+  body('details').optional().isString().trim().isLength({ max: MAX_DETAILS_LENGTH })
+    .withMessage({ key: 'validation.reportDetails', params: { max: MAX_DETAILS_LENGTH } }),
+  body(['gameId', 'questionId']).if(body('target').equals(TARGETS.QUESTION))
+    .isString().withMessage('validation.reportQuestion').notEmpty().withMessage('validation.reportQuestion'),
+  body(['roomId', 'userId']).if(body('target').equals(TARGETS.ANSWER))
+    .isString().withMessage('validation.reportAnswer').notEmpty().withMessage('validation.reportAnswer')
+], validate, async (req, res, next) => {
+  try {
+    const report = await reportService.createReport(getActor(req), req.body);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('moderation.reported'),
+      report
+    });
+  } catch (error) {
+    sendReportError(req, res, next, error);
+  }
+});
+
+/**
+ * GET /api/moderation/reports
+ * The moderation queue, newest first (moderators only) - open reports, or
+ * another ?status=, optionally of one ?target= or ?gameId=
+ */
+router.get('/reports', authenticate, requireModerator, [
+  query('status').optional().isIn(Object.values(STATUSES))
+    .withMessage({ key: 'validation.reportStatus', params: { statuses: Object.values(STATUSES).join(', ') } }),
+  query('target').optional().isIn(Object.values(TARGETS))
+    .withMessage({ key: 'validation.reportTarget', params: { targets: Object.values(TARGETS).join(', ') } }),
+  query('gameId').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt().withMessage({ key: 'validation.limit', params: { max: 200 } })
+], validate, async (req, res, next) => {
+  try {
+    const reports = await reportService.getReports({
+      status: req.query.status,
+      target: req.query.target,
+      gameId: req.query.gameId,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      reports
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/moderation/reports/:reportId
+ * One report (moderators only)
+ */
+router.get('/reports/:reportId', authenticate, requireModerator, async (req, res, next) => {
+  try {
+    const report = await reportService.getReport(req.params.reportId);
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendReportError(req, res, next, error);
+  }
+});
+
+/**
+ * POST /api/moderation/reports/:reportId/dismiss
+ * Close a report without changing anything (moderators only), with an
+ * optional `note`
+ */
+router.post('/reports/:reportId/dismiss', authenticate, requireModerator, [noteValidator], validate, async (req, res, next) => {
+  try {
+    const report = await reportService.dismissReport(getActor(req), req.params.reportId, { note: req.body.note });
+
+    res.json({
+      success: true,
+      message: req.t('moderation.reportDismissed'),
+      report
+    });
+  } catch (error) {
+    sendReportError(req, res, next, error);
+  }
+});
+
+/**
+ * POST /api/moderation/reports/:reportId/hide
+ * Hide the reported question so it is no longer drawn, closing every open
+ * report on it (moderators only), with an optional `note`
+ */
+router.post('/reports/:reportId/hide', authenticate, requireModerator, [noteValidator], validate, async (req, res, next) => {
+  try {
+    const { report, closed } = await reportService.hideReportedQuestion(getActor(req), req.params.reportId, {
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: req.t('moderation.questionHidden', { count: closed }),
+      report,
+      closed
+    });
+  } catch (error) {
+    sendReportError(req, res, next, error);
+  }
+});
+
+/**
+ * GET /api/moderation/filter-events
+ * Text caught by the content filter, newest first (moderators only) -
+ * optionally for one room (?roomId=), user (?userId=) or source (?source=)
+ */
+router.get('/filter-events', authenticate, requireModerator, [
+  query(['roomId', 'userId']).optional().isString(),
+  query('source').optional().isIn(Object.values(contentFilterService.SOURCES))
+    .withMessage({ key: 'validation.filterSource', params: { sources: Object.values(contentFilterService.SOURCES).join(', ') } }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt().withMessage({ key: 'validation.limit', params: { max: 200 } })
+], validate, async (req, res, next) => {
+  try {
+    const events = await contentFilterService.getFilterEvents({
+      roomId: req.query.roomId,
+      userId: req.query.userId,
+      source: req.query.source,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      events
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,17 @@ const router = express.Router();
 const { body, param, query } = require('express-validator');
 const roomService = require('../services/roomService');
 const gameService = require('../services/gameService');
-const { authenticate } = require('../middleware/auth');
+const packService = require('../services/packService');
+const gameModes = require('../services/gameModes');
+const i18nService = require('../services/i18nService');
+const ratingService = require('../services/ratingService');
+const contentFilterService = require('../services/contentFilterService');
+const teamService = require('../services/teamService');
+const socketHandler = require('../socket/socketHandler');
+const { LIMITS } = require('../services/gameModes/settings');
+const { PERMISSIONS } = require('../services/permissionService');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 // Get io instance from server
 let ioInstance = null;
@@ -12,6 +22,40 @@ const setIOInstance = (io) => {
 };
 const getIOInstance = () => ioInstance;
 
+/**
+ * Validators for a room `settings` object
+ */
+const settingsValidators = () => [
+  body('settings').optional().isObject().withMessage('validation.settingsObject'),
+  body('settings.rounds').optional()
+    .isInt(LIMITS.rounds).withMessage({ key: 'validation.rounds', params: LIMITS.rounds }),
+  body('settings.voteSeconds').optional()
+    .isInt(LIMITS.voteSeconds).withMessage({ key: 'validation.voteSeconds', params: LIMITS.voteSeconds }),
+  body('settings.answerSeconds').optional()
+    .isInt(LIMITS.answerSeconds).withMessage({ key: 'validation.answerSeconds', params: LIMITS.answerSeconds }),
+  body('settings.revealSeconds').optional()
+    .isInt(LIMITS.revealSeconds).withMessage({ key: 'validation.revealSeconds', params: LIMITS.revealSeconds }),
+  body('settings.candidateCount').optional()
+    .isInt(LIMITS.candidateCount).withMessage({ key: 'validation.candidateCount', params: LIMITS.candidateCount }),
+  body('settings.difficultyMix').optional({ values: 'null' })
+    .isObject().withMessage('validation.difficultyMix'),
+  body(['settings.difficultyMix.easy', 'settings.difficultyMix.medium', 'settings.difficultyMix.hard']).optional()
+    .isInt(LIMITS.difficultyWeight).withMessage({ key: 'validation.difficultyWeight', params: LIMITS.difficultyWeight }),
+  body('settings.maxMissedTurns').optional()
+    .isInt(LIMITS.maxMissedTurns).withMessage({ key: 'validation.maxMissedTurns', params: LIMITS.maxMissedTurns }),
+  body('settings.language').optional()
+    .custom(value => !!i18nService.normalizeLocale(value)).withMessage('validation.language'),
+  body('settings.maxRating').optional()
+    .isIn(ratingService.RATING_ORDER).withMessage({ key: 'validation.maxRating', params: { ratings: ratingService.RATING_ORDER.join(', ') } }),
+  body('settings.profanityFilter').optional()
+    .isIn(Object.values(contentFilterService.FILTER_MODES))
+    .withMessage({ key: 'validation.profanityFilter', params: { modes: Object.values(contentFilterService.FILTER_MODES).join(', ') } }),
+  body('settings.popularityWeighting').optional()
+    .isBoolean().toBoolean().withMessage('validation.popularityWeighting'),
+  body('settings.allowSpectators').optional()
+    .isBoolean().toBoolean().withMessage('validation.allowSpectators')
+];
+
 /**
  * POST /api/rooms/create
  * Create a new room
@@ -19,20 +63,57 @@ const getIOInstance = () => ioInstance;
 router.post('/create', 
   authenticate,
   [
-    body('name').trim().isLength({ min: 3, max: 50 }).withMessage('Room name must be 3-50 characters'),
-    body('gameId').notEmpty().withMessage('Game ID is required'),
-    body('maxPlayers').optional().isInt({ min: 2, max: 20 }).withMessage('Max players must be between 2 and 20')
+    body('name').trim().isLength({ min: 3, max: 50 }).withMessage('validation.roomName'),
+    body('gameId').notEmpty().withMessage('validation.gameIdRequired'),
+    body('maxPlayers').optional().isInt({ min: 2, max: 20 }).withMessage('validation.maxPlayers'),
+    body('chickenOutPenalty.forceDare').optional().isBoolean().withMessage('validation.forceDare'),
+    body('chickenOutPenalty.points').optional().isInt({ min: 0, max: 10 }).withMessage('validation.chickenOutPoints'),
+    body('packIds').optional().isArray({ max: 10 }).withMessage({ key: 'validation.packIds', params: { max: 10 } }),
+    body('packIds.*').isString().notEmpty().withMessage('validation.packId'),
+    ...settingsValidators()
   ],
+  validate,
   async (req, res, next) => {
     try {
-      const { name, gameId, maxPlayers, selectedFriends } = req.body;
+      const { name, gameId, maxPlayers, selectedFriends, chickenOutPenalty, settings, packIds } = req.body;
 
       // Get game details
       const game = await gameService.getGameById(gameId);
       if (!game) {
         return res.status(404).json({
           success: false,
-          message: 'Game not found'
+          message: req.t('games.notFound')
+        });
+      }
+
+      if (!gameService.isGameEnabled(game)) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('games.disabled')
+        });
+      }
+
+      // Room names are shown to everyone who joins
+      try {
+        await contentFilterService.checkFields({ name }, {
+          source: contentFilterService.SOURCES.ROOM_NAME,
+          userId: req.userId
+        });
+      } catch (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: req.t(filterError)
+        });
+      }
+
+      // Check the picked question packs
+      let packs;
+      try {
+        packs = await packService.getPacksForRoom(req.userId, game.id, packIds || []);
+      } catch (packError) {
+        return res.status(400).json({
+          success: false,
+          message: req.t(packError)
         });
       }
 
@@ -43,9 +124,15 @@ router.post('/create',
         hostName: req.user.displayName || req.user.username || 'Anonymous',
         gameId: game.id,
         gameName: game.name,
+        gameMode: gameModes.resolveModeId(game),
+        packIds: packs.map(pack => pack.id),
         maxPlayers: maxPlayers || game.maxPlayers || 10,
         selectedFriends: selectedFriends || [],
-        avatar: req.user.photoURL || ''
+        chickenOutPenalty: chickenOutPenalty,
+        // Questions come in the host's language unless they pick another
+        settings: { language: req.getLocale(), ...settings },
+        avatar: req.user.photoURL || '',
+        hostMaxRating: ratingService.getUserMaxRating(req.user)
       });
 
       res.status(201).json({
@@ -65,7 +152,7 @@ router.post('/create',
 router.post('/join/:code',
   authenticate,
   [
-    param('code').isLength({ min: 6, max: 6 }).withMessage('Room code must be 6 characters')
+    param('code').isLength({ min: 6, max: 6 }).withMessage('validation.roomCode')
   ],
   async (req, res, next) => {
     try {
@@ -76,7 +163,8 @@ router.post('/join/:code',
       const room = await roomService.joinRoom(codeUpper, {
         userId: req.userId,
         username: req.user.displayName || req.user.username || 'Anonymous',
-        avatar: req.user.photoURL || ''
+        avatar: req.user.photoURL || '',
+        maxRating: ratingService.getUserMaxRating(req.user)
       });
 
       // If room is full and pending, auto-start the game
@@ -87,17 +175,12 @@ router.post('/join/:code',
           // Broadcast game started event to all players in the room
           const io = getIOInstance();
           if (io) {
-            io.to(`room:${room.id}`).emit('game_started', {
-              room: updatedRoom,
-              questions: updatedRoom.questions || [],
-              currentPlayerTurn: updatedRoom.currentPlayerTurn,
-              round: updatedRoom.round || 1
-            });
+            socketHandler.broadcastGameStarted(io, updatedRoom);
           }
 
           return res.json({
             success: true,
-            room: updatedRoom,
+            room: gameModes.toPublicRoom(updatedRoom),
             autoStarted: true
           });
         } catch (startError) {
@@ -108,24 +191,59 @@ router.post('/join/:code',
 
       res.json({
         success: true,
-        room
+        room: gameModes.toPublicRoom(room)
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
+/**
+ * Check a user can watch a room - by code, or by ID when invited
+ * They start watching when they join with `join_room` and `spectate: true`.
+ */
+const spectate = async (req, res, target) => {
+  try {
+    const room = await roomService.getRoomToWatch(target, req.userId);
+
+    res.json({
+      success: true,
+      room: gameModes.toPublicRoom(room),
+      spectatorCount: roomService.getSpectatorCount(room)
+    });
+  } catch (error) {
+    res.status(error.messageKey === 'rooms.notFound' ? 404 : 400).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+};
+
+/**
+ * POST /api/rooms/spectate/:code
+ * Check a room can be watched by code - spectators get every broadcast once
+ * they join its socket room, but cannot play
+ */
+router.post('/spectate/:code',
+  authenticate,
+  [
+    param('code').isLength({ min: 6, max: 6 }).withMessage('validation.roomCode')
+  ],
+  validate,
+  (req, res) => spectate(req, res, { code: req.params.code.toUpperCase() })
+);
+
 /**
  * POST /api/rooms/validate/:code
  * Validate a room code
  */
 router.post('/validate/:code',
   [
-    param('code').isLength({ min: 6, max: 6 }).withMessage('Room code must be 6 characters')
+    param('code').isLength({ min: 6, max: 6 }).withMessage('validation.roomCode')
   ],
   async (req, res, next) => {
     try {
@@ -137,13 +255,13 @@ router.post('/validate/:code',
       if (!validation.valid) {
         return res.status(400).json({
           success: false,
-          message: validation.message
+          message: req.t(validation.messageKey)
         });
       }
 
       res.json({
         success: true,
-        room: validation.room
+        room: gameModes.toPublicRoom(validation.room)
       });
     } catch (error) {
       next(error);
@@ -165,13 +283,16 @@ router.get('/:roomId',
       if (!room) {
         return res.status(404).json({
           success: false,
-          message: 'Room not found'
+          message: req.t('rooms.notFound')
         });
       }
 
       res.json({
         success: true,
-        room
+        room: gameModes.toPublicRoom(room),
+        scoreboard: roomService.buildScoreboard(room),
+        teamScoreboard: teamService.buildTeamScoreboard(room),
+        spectatorCount: roomService.getSpectatorCount(room)
       });
     } catch (error) {
       next(error);
@@ -179,6 +300,15 @@ router.get('/:roomId',
   }
 );
 
+/**
+ * POST /api/rooms/:roomId/spectate
+ * Check a room the host invited you to can be watched
+ */
+router.post('/:roomId/spectate',
+  authenticate,
+  (req, res) => spectate(req, res, { roomId: req.params.roomId })
+);
+
 /**
  * POST /api/rooms/:roomId/leave
  * Leave a room (player can rejoin later)
@@ -192,13 +322,13 @@ router.post('/:roomId/leave',
 
       res.json({
         success: true,
-        room,
-        message: 'You can rejoin this room from your session list'
+        room: gameModes.toPublicRoom(room),
+        message: req.t('rooms.rejoinFromSessions')
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -210,8 +340,9 @@ router.post('/:roomId/leave',
  */
 router.delete('/:roomId',
   authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'rooms.hostOnlyDelete' }),
   [
-    param('roomId').notEmpty().withMessage('Room ID is required')
+    param('roomId').notEmpty().withMessage('rooms.idRequired')
   ],
   async (req, res, next) => {
     try {
@@ -223,19 +354,19 @@ router.delete('/:roomId',
       if (io) {
         io.to(`room:${roomId}`).emit('room_terminated', {
           roomId: roomId,
-          message: 'Room has been deleted by the host'
+          message: i18nService.translate(gameModes.getRoomSettings(room).language, 'rooms.deletedByHost')
         });
       }
 
       res.json({
         success: true,
-        room,
-        message: 'Room deleted successfully'
+        room: gameModes.toPublicRoom(room),
+        message: req.t('rooms.deleted')
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -252,18 +383,19 @@ router.post('/:roomId/rejoin',
       const { roomId } = req.params;
       const room = await roomService.rejoinRoom(roomId, req.userId, {
         username: req.user.displayName || req.user.username || 'Anonymous',
-        avatar: req.user.photoURL || ''
+        avatar: req.user.photoURL || '',
+        maxRating: ratingService.getUserMaxRating(req.user)
       });
 
       res.json({
         success: true,
-        room,
-        message: 'Successfully rejoined the room'
+        room: gameModes.toPublicRoom(room),
+        message: req.t('rooms.rejoined')
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -275,89 +407,261 @@ router.post('/:roomId/rejoin',
  */
 router.post('/:roomId/start',
   authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'rooms.hostOnlyStart' }),
   async (req, res, next) => {
     try {
       const { roomId } = req.params;
-      const room = await roomService.getRoomById(roomId);
+      const updatedRoom = await roomService.startRoom(roomId);
 
-      if (!room) {
-        return res.status(404).json({
-          success: false,
-          message: 'Room not found'
-        });
+      // Broadcast game started event to all players in the room
+      const io = getIOInstance();
+      if (io) {
+        socketHandler.broadcastGameStarted(io, updatedRoom);
       }
 
-      if (room.hostId !== req.userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the host can start the game'
-        });
+      res.json({
+        success: true,
+        room: gameModes.toPublicRoom(updatedRoom)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/rooms/:roomId/pause
+ * Pause the game, freezing its timers (host only)
+ */
+router.post('/:roomId/pause',
+  authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'rooms.hostOnlyPause' }),
+  async (req, res, next) => {
+    try {
+      const { roomId } = req.params;
+      const updatedRoom = await roomService.pauseRoom(roomId, req.userId);
+
+      const io = getIOInstance();
+      if (io) {
+        socketHandler.broadcastGamePaused(io, updatedRoom);
       }
 
-      const updatedRoom = await roomService.startRoom(roomId);
+      res.json({
+        success: true,
+        remainingMs: updatedRoom.phaseRemainingMs,
+        room: gameModes.toPublicRoom(updatedRoom)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/rooms/:roomId/resume
+ * Resume a paused game with the time its phase had left (host only)
+ */
+router.post('/:roomId/resume',
+  authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'rooms.hostOnlyPause' }),
+  async (req, res, next) => {
+    try {
+      const { roomId } = req.params;
+      const updatedRoom = await roomService.resumeRoom(roomId);
 
-      // Broadcast game started event to all players in the room
       const io = getIOInstance();
       if (io) {
-        io.to(`room:${roomId}`).emit('game_started', {
-          room: updatedRoom,
-          questions: updatedRoom.questions || [],
-          currentPlayerTurn: updatedRoom.currentPlayerTurn
-        });
+        socketHandler.broadcastGameResumed(io, updatedRoom);
       }
 
       res.json({
         success: true,
-        room: updatedRoom
+        room: gameModes.toPublicRoom(updatedRoom)
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
 /**
- * POST /api/rooms/:roomId/set-player-turn
- * Set player turn (host only)
+ * PATCH /api/rooms/:roomId/settings
+ * Update room settings (host only, before the game starts - `allowSpectators`
+ * at any time)
  */
-router.post('/:roomId/set-player-turn',
+router.patch('/:roomId/settings',
   authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'rooms.hostOnlySettings' }),
   [
-    body('playerId').notEmpty().withMessage('Player ID is required')
+    body('settings').isObject().withMessage('validation.settingsRequired'),
+    ...settingsValidators()
   ],
+  validate,
   async (req, res, next) => {
     try {
       const { roomId } = req.params;
-      const { playerId } = req.body;
-      const room = await roomService.getRoomById(roomId);
+      const { removedSpectators, ...updatedRoom } = await roomService.updateSettings(roomId, req.userId, req.body.settings);
 
-      if (!room) {
-        return res.status(404).json({
-          success: false,
-          message: 'Room not found'
+      const io = getIOInstance();
+      if (io) {
+        socketHandler.removeFromRoom(io, roomId, removedSpectators, 'rooms.spectatingDisabled');
+        io.to(`room:${roomId}`).emit('settings_updated', {
+          settings: updatedRoom.settings,
+          room: gameModes.toPublicRoom(updatedRoom)
         });
       }
 
-      if (room.hostId !== req.userId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the host can set player turn'
-        });
-      }
+      res.json({
+        success: true,
+        room: gameModes.toPublicRoom(updatedRoom)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * Broadcast a room's new teams and answer the host's request with them
+ */
+const sendTeams = (res, updatedRoom) => {
+  const teams = teamService.getTeams(updatedRoom);
+
+  const io = getIOInstance();
+  if (io) {
+    io.to(`room:${updatedRoom.id}`).emit('teams_updated', {
+      teams,
+      room: gameModes.toPublicRoom(updatedRoom)
+    });
+  }
+
+  res.json({
+    success: true,
+    teams,
+    room: gameModes.toPublicRoom(updatedRoom)
+  });
+};
+
+/**
+ * PUT /api/rooms/:roomId/teams
+ * Split the active players into teams (host only, before the game starts):
+ * `{ teams: [{ name, members: [userId] }] }` with every active player on one
+ * team
+ */
+router.put('/:roomId/teams',
+  authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'teams.hostOnly' }),
+  [
+    body('teams').isArray({ min: teamService.MIN_TEAMS, max: teamService.MAX_TEAMS })
+      .withMessage({ key: 'validation.teams', params: { min: teamService.MIN_TEAMS, max: teamService.MAX_TEAMS } }),
+    body('teams.*.name').optional().isString().trim().isLength({ min: 1, max: teamService.MAX_NAME_LENGTH })
+      .withMessage({ key: 'validation.teamName', params: { max: teamService.MAX_NAME_LENGTH } }),
+    body('teams.*.members').isArray({ min: 1 }).withMessage('validation.teamMembers'),
+    body('teams.*.members.*').isString().withMessage('validation.teamMembers')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const { teams } = req.body;
 
+      // Team names are shown to everyone in the room
+      await contentFilterService.checkFields({ name: teams.map(team => team.name).filter(Boolean) }, {
+        source: contentFilterService.SOURCES.TEAM_NAME,
+        userId: req.userId,
+        roomId
+      });
+
+      sendTeams(res, await roomService.setTeams(roomId, req.userId, teams));
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/rooms/:roomId/teams/balance
+ * Deal the active players out into `{ count }` teams at random, as evenly as
+ * possible (host only, before the game starts)
+ */
+router.post('/:roomId/teams/balance',
+  authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'teams.hostOnly' }),
+  [
+    body('count').isInt({ min: teamService.MIN_TEAMS, max: teamService.MAX_TEAMS }).toInt()
+      .withMessage({ key: 'validation.teamCount', params: { min: teamService.MIN_TEAMS, max: teamService.MAX_TEAMS } })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      sendTeams(res, await roomService.balanceTeams(req.params.roomId, req.userId, req.body.count));
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/rooms/:roomId/teams
+ * Turn team mode off (host only, before the game starts)
+ */
+router.delete('/:roomId/teams',
+  authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'teams.hostOnly' }),
+  async (req, res) => {
+    try {
+      sendTeams(res, await roomService.clearTeams(req.params.roomId, req.userId));
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/rooms/:roomId/set-player-turn
+ * Set player turn (host only)
+ */
+router.post('/:roomId/set-player-turn',
+  authenticate,
+  authorize(PERMISSIONS.HOST_ROOM, { roomParam: 'roomId', message: 'rooms.hostOnlySetTurn' }),
+  [
+    body('playerId').notEmpty().withMessage('validation.playerIdRequired')
+  ],
+  async (req, res, next) => {
+    try {
+      const { roomId } = req.params;
+      const { playerId } = req.body;
       const updatedRoom = await roomService.setPlayerTurn(roomId, playerId);
 
       res.json({
         success: true,
-        room: updatedRoom
+        room: gameModes.toPublicRoom(updatedRoom)
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -375,7 +679,7 @@ router.get('/user/my-rooms',
 
       res.json({
         success: true,
-        rooms
+        rooms: rooms.map(gameModes.toPublicRoom)
       });
     } catch (error) {
       next(error);
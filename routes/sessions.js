@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const roomService = require('../services/roomService');
+const gameModes = require('../services/gameModes');
 const { authenticate } = require('../middleware/auth');
 
 /**
@@ -15,7 +16,7 @@ router.get('/',
 
       res.json({
         success: true,
-        sessions: rooms
+        sessions: rooms.map(gameModes.toPublicRoom)
       });
     } catch (error) {
       next(error);
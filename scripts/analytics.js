@@ -0,0 +1,123 @@
+/**
+ * Question Analytics Script
+ *
+ * Reports how each question performed between two dates: how often it was
+ * offered, won the vote and was skipped, average answer time, reports and
+ * thumbs up/down. Covers one game (by ID or name) or every game.
+ *
+ * Dates are YYYY-MM-DD (a whole day) or ISO timestamps; either may be left
+ * out. Without --out a summary per game is printed, or the full report in the
+ * --format given.
+ *
+ * Usage:
+ *   node scripts/analytics.js [game] [--from <date>] [--to <date>] [--format json|csv] [--out <file>]
+ */
+
+require('dotenv').config({ path: '.evn' });
+const fs = require('fs');
+const path = require('path');
+const gameService = require('../services/gameService');
+const analyticsService = require('../services/analyticsService');
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/analytics.js [game] [--from <date>] [--to <date>] [--format json|csv] [--out <file>]'
+].join('\n');
+
+const OPTIONS = ['--from', '--to', '--format', '--out'];
+
+/**
+ * Split arguments into positionals and --options
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (OPTIONS.includes(args[i])) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Find a game by ID or name
+ */
+async function findGame(idOrName) {
+  const game = await gameService.getGameById(idOrName);
+  if (game) {
+    return game;
+  }
+
+  const games = await gameService.getAllGames({ includeDisabled: true });
+  const name = idOrName.toLowerCase();
+  const match = games.find(g => g.name.toLowerCase() === name);
+  if (!match) {
+    throw new Error(`Game "${idOrName}" not found (games: ${games.map(g => g.name).join(', ')})`);
+  }
+  return match;
+}
+
+/**
+ * Print the totals and most offered questions of each game
+ */
+function printSummary(analytics) {
+  console.log(`📊 Question analytics ${analytics.from || 'start'} → ${analytics.to || 'now'}`);
+  analytics.games.forEach(game => {
+    console.log(`\n${game.gameName}: ${game.turns} turns, ${game.offers} offers, ${game.wins} wins, ${game.skips} skips, ${game.reports} reports`);
+    game.questions.slice(0, 10).forEach(q => {
+      const winRate = q.winRate === null ? '-' : `${Math.round(q.winRate * 100)}%`;
+      const answer = q.avgAnswerSeconds === null ? '-' : `${q.avgAnswerSeconds}s`;
+      console.log(`   - [${q.status}] ${q.text || q.questionId}: ${q.offers} offers, ${winRate} won, ${q.skips} skips, ${answer} to answer, ${q.reports} reports, 👍 ${q.thumbsUp} 👎 ${q.thumbsDown}`);
+    });
+    if (game.questions.length > 10) {
+      console.log(`   ... and ${game.questions.length - 10} more`);
+    }
+  });
+}
+
+async function run() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const format = options.format || (options.out ? path.extname(options.out).slice(1) : null);
+
+  if (positional.length > 1 || (format && !Object.values(analyticsService.FORMATS).includes(format))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const game = positional.length === 1 ? await findGame(positional[0]) : null;
+    const analytics = await analyticsService.getQuestionAnalytics({
+      gameId: game ? game.id : null,
+      from: options.from,
+      to: options.to
+    });
+
+    if (!format) {
+      printSummary(analytics);
+      process.exit(0);
+    }
+
+    const content = format === analyticsService.FORMATS.CSV
+      ? analyticsService.formatCsv(analytics)
+      : `${JSON.stringify(analytics, null, 2)}\n`;
+
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      const count = analytics.games.reduce((sum, g) => sum + g.questions.length, 0);
+      console.log(`✅ Wrote analytics for ${count} questions of ${analytics.games.length} game(s) to ${options.out}`);
+    } else {
+      process.stdout.write(content);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -2,7 +2,7 @@
  * Database Initialization Script
  * 
  * This script initializes the Firestore database with:
- * - Default games
+ * - Default games (by applying the pending migrations, see scripts/migrate.js)
  * - Required indexes (via console instructions)
  * - Sample data (optional)
  * 
@@ -10,29 +10,22 @@
  */
 
 require('dotenv').config({ path: '.evn' });
-const { getDb } = require('../services/firebaseService');
+const { getStorage } = require('../services/firebaseService');
 const gameService = require('../services/gameService');
+const migrationService = require('../services/migrationService');
 
 async function initializeDatabase() {
   try {
     console.log('🚀 Starting database initialization...\n');
 
-    // Initialize Firebase
-    const db = getDb();
-    console.log('✅ Firebase connection established\n');
+    // Initialize storage (Firestore or in-memory, see STORAGE_DRIVER)
+    const storage = getStorage();
+    console.log(`✅ ${storage.driver} storage connection established\n`);
 
-    // Initialize default games
-    console.log('📦 Initializing default games...');
-    await gameService.initializeDefaultGames();
-    
-    // Force update questions to ensure all games have them
-    console.log('📝 Updating games with questions...');
-    const updateResult = await gameService.forceUpdateGameQuestions();
-    if (updateResult.updated > 0) {
-      console.log(`✅ Updated ${updateResult.updated} games with questions\n`);
-    } else {
-      console.log('✅ All games already have questions\n');
-    }
+    // Seed the default games through the migrations
+    console.log('📦 Applying migrations...');
+    const applied = await migrationService.applyMigrations();
+    console.log(`✅ Applied ${applied.length} migration(s)\n`);
 
     // Verify games were created
     const games = await gameService.getAllGames();
@@ -44,11 +37,11 @@ async function initializeDatabase() {
 
     // Check collections
     console.log('📊 Checking collections...');
-    const collections = ['users', 'rooms', 'games', 'friendships'];
+    const collections = ['users', 'rooms', 'games', 'friendships', 'migrations'];
     
     for (const collectionName of collections) {
-      const snapshot = await db.collection(collectionName).limit(1).get();
-      const count = snapshot.size;
+      const docs = await storage.find(collectionName, { limit: 1 });
+      const count = docs.length;
       console.log(`   - ${collectionName}: ${count > 0 ? '✅ exists' : '⚠️  empty (normal for new database)'}`);
     }
     console.log('');
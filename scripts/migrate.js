@@ -0,0 +1,80 @@
+/**
+ * Migration Runner
+ *
+ * Applies, lists and rolls back the data migrations in `migrations/` (seed
+ * content from `seeds/`). Applied migrations are recorded in the `migrations`
+ * collection; the server also applies pending ones when it starts.
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>]   apply pending migrations
+ *   node scripts/migrate.js list                  show every migration's status
+ *   node scripts/migrate.js down [--steps <n>]    roll back the last n (default 1)
+ */
+
+require('dotenv').config({ path: '.evn' });
+const migrationService = require('../services/migrationService');
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/migrate.js up [--to <version>]',
+  '  node scripts/migrate.js list',
+  '  node scripts/migrate.js down [--steps <n>]'
+].join('\n');
+
+/**
+ * Read the value of an --option
+ */
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+}
+
+async function up(args) {
+  const applied = await migrationService.applyMigrations({ to: getOption(args, 'to') });
+  console.log(applied.length > 0
+    ? `\n✅ Applied ${applied.length} migration(s)`
+    : '✅ Nothing to apply - the database is up to date');
+}
+
+async function list() {
+  const migrations = await migrationService.listMigrations();
+  const icons = { applied: '✅', pending: '⏳', missing: '⚠️ ' };
+
+  console.log('📋 Migrations:');
+  migrations.forEach(m => {
+    const applied = m.appliedAt ? ` (applied ${m.appliedAt}, ${m.steps} steps)` : '';
+    console.log(`   ${icons[m.status]} ${m.id} - ${m.description} [${m.status}]${applied}`);
+  });
+}
+
+async function down(args) {
+  const steps = parseInt(getOption(args, 'steps') || '1', 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps must be a positive number');
+  }
+
+  const rolledBack = await migrationService.rollbackMigrations({ steps });
+  console.log(rolledBack.length > 0
+    ? `\n✅ Rolled back ${rolledBack.length} migration(s)`
+    : '✅ Nothing to roll back');
+}
+
+async function run() {
+  const [command, ...args] = process.argv.slice(2);
+  const commands = { up, list, down };
+
+  if (!commands[command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await commands[command](args);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
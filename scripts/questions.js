@@ -0,0 +1,145 @@
+/**
+ * Question Import/Export Script
+ *
+ * Imports a JSON or CSV file of questions into a game, or exports a game's
+ * questions. Questions are checked against the game's mode and duplicates
+ * (same text) are skipped; the report lists both. Nothing is written when a
+ * question is invalid or with --dry-run.
+ *
+ * The game is given by ID or by name. The import format comes from the file
+ * extension (.json or .csv). An import is a catalog change, so it needs the
+ * user making it (--by, email or username) for the audit trail.
+ *
+ * Usage:
+ *   node scripts/questions.js import <game> <file> --by <user> [--dry-run]
+ *   node scripts/questions.js export <game> [--format json|csv] [--out <file>]
+ */
+
+require('dotenv').config({ path: '.evn' });
+const fs = require('fs');
+const path = require('path');
+const gameService = require('../services/gameService');
+const catalogService = require('../services/catalogService');
+const authService = require('../services/authService');
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/questions.js import <game> <file> --by <user> [--dry-run]',
+  '  node scripts/questions.js export <game> [--format json|csv] [--out <file>]'
+].join('\n');
+
+/**
+ * Split arguments into positionals and --options
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--format' || args[i] === '--out' || args[i] === '--by') {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Find a game by ID or name
+ */
+async function findGame(idOrName) {
+  const game = await gameService.getGameById(idOrName);
+  if (game) {
+    return game;
+  }
+
+  const games = await gameService.getAllGames();
+  const name = idOrName.toLowerCase();
+  const match = games.find(g => g.name.toLowerCase() === name);
+  if (!match) {
+    throw new Error(`Game "${idOrName}" not found (games: ${games.map(g => g.name).join(', ')})`);
+  }
+  return match;
+}
+
+/**
+ * Find the user an import is recorded under, by email or username
+ */
+async function findActor(identifier) {
+  const user = identifier ? await authService.getUserByEmailOrUsername(identifier) : null;
+  if (!user) {
+    throw new Error(identifier ? `User "${identifier}" not found` : 'Say who is importing with --by <email or username>');
+  }
+  return {
+    userId: user.uid || user.id,
+    username: user.displayName || user.username || 'Anonymous'
+  };
+}
+
+async function importQuestions(gameArg, file, options) {
+  const actor = await findActor(options.by);
+  const game = await findGame(gameArg);
+  const format = path.extname(file).slice(1);
+  const content = fs.readFileSync(file, 'utf8');
+
+  const report = await catalogService.importQuestions(actor, game.id, content, format, { dryRun: options.dryRun === true });
+
+  console.log(`📥 ${report.dryRun ? 'Dry run - ' : ''}${file} → ${report.gameName}`);
+  console.log(`   - ${report.total} questions in file`);
+  console.log(`   - ${report.added} new`);
+  console.log(`   - ${report.duplicates.length} duplicates skipped`);
+  report.duplicates.forEach(({ row, text }) => console.log(`       row ${row}: ${text}`));
+  console.log(`   - ${report.invalid.length} invalid`);
+  report.invalid.forEach(({ row, message }) => console.log(`       row ${row}: ${message}`));
+
+  if (report.invalid.length > 0) {
+    console.log('\n❌ Fix the invalid questions - nothing was imported');
+    return false;
+  }
+
+  console.log(report.imported
+    ? `\n✅ Imported ${report.added} questions`
+    : '\n✅ Nothing was written');
+  return true;
+}
+
+async function exportQuestions(gameArg, options) {
+  const game = await findGame(gameArg);
+  const format = options.format || (options.out ? path.extname(options.out).slice(1) : 'json');
+  const { content } = await gameService.exportGameQuestions(game.id, format, { includeDisabled: true });
+
+  if (options.out) {
+    fs.writeFileSync(options.out, content);
+    console.log(`✅ Exported ${(game.questions || []).length} questions of ${game.name} to ${options.out}`);
+  } else {
+    process.stdout.write(content);
+  }
+  return true;
+}
+
+async function run() {
+  const [command, ...args] = process.argv.slice(2);
+  const { positional, options } = parseArgs(args);
+
+  try {
+    let ok;
+    if (command === 'import' && positional.length === 2) {
+      ok = await importQuestions(positional[0], positional[1], options);
+    } else if (command === 'export' && positional.length === 1) {
+      ok = await exportQuestions(positional[0], options);
+    } else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    process.exit(ok ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -2,6 +2,7 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const { locale } = require('./middleware/locale');
 require('dotenv').config({ path: '.evn' });
 
 const app = express();
@@ -25,15 +26,16 @@ const io = socketIo(server, {
 app.use(cors(corsConfig));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(locale);
 
 // Initialize Firebase Admin
 const firebaseService = require('./services/firebaseService');
 firebaseService.initialize();
 
-// Initialize default games
-const gameService = require('./services/gameService');
-gameService.initializeDefaultGames().catch(err => {
-  console.error('Error initializing default games:', err);
+// Apply pending data migrations (default games and their questions)
+const migrationService = require('./services/migrationService');
+migrationService.applyMigrations().catch(err => {
+  console.error('Error applying migrations:', err);
 });
 
 // Routes
@@ -42,6 +44,7 @@ const roomRoutes = require('./routes/rooms');
 const gameRoutes = require('./routes/games');
 const friendRoutes = require('./routes/friends');
 const sessionRoutes = require('./routes/sessions');
+const moderationRoutes = require('./routes/moderation');
 
 app.use('/api/auth', authRoutes);
 // Set io instance for room routes to broadcast events
@@ -52,6 +55,7 @@ app.use('/api/rooms', roomRoutes.router || roomRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -67,7 +71,7 @@ app.use((err, req, res, next) => {
   console.error('Error:', err);
   res.status(err.status || 500).json({
     success: false,
-    message: err.message || 'Internal server error',
+    message: err.message ? req.t(err) : req.t('common.internalError'),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
@@ -76,7 +80,7 @@ app.use((err, req, res, next) => {
 app.use((req, res) => {
   res.status(404).json({
     success: false,
-    message: 'Route not found'
+    message: req.t('common.routeNotFound')
   });
 });
 
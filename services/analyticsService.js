@@ -0,0 +1,218 @@
+const gameService = require('./gameService');
+const packService = require('./packService');
+const questionStatsService = require('./questionStatsService');
+const reportService = require('./reportService');
+const ratingService = require('./ratingService');
+const gameModes = require('./gameModes');
+const { toCsvCell } = require('./questionFileService');
+const { createError } = require('./i18nService');
+
+/**
+ * Question analytics (content team)
+ * How each question performs over a period, per game: how often it was
+ * offered, won the vote and was skipped (from the turn log, see
+ * questionStatsService), how long players took to answer it, how often it was
+ * reported and what players thought of it (thumbs up/down).
+ *
+ * Every question of a game is listed, played or not; pack questions only when
+ * they were offered, reported or rated in the period.
+ *
+ * Charades turns are only logged since the room keeps the prompt it played
+ * (`promptId`), so a Charades game without logged turns in the period is left
+ * out rather than shown as never played.
+ */
+
+const FORMATS = {
+  JSON: 'json',
+  CSV: 'csv'
+};
+
+// CSV columns, one row per question
+const COLUMNS = [
+  'gameId', 'gameName', 'questionId', 'packId', 'text', 'status', 'contentRating',
+  'offers', 'wins', 'winRate', 'skips', 'skipRate', 'answers', 'avgAnswerSeconds',
+  'reports', 'thumbsUp', 'thumbsDown', 'rating'
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Turns of this mode are logged only since rooms keep the played prompt
+const PROMPT_MODE = 'charades';
+
+/**
+ * Turn the ends of a period into ISO timestamps - a date alone covers the
+ * whole day
+ */
+const toPeriod = ({ from = null, to = null } = {}) => {
+  const toIso = (value, endOfDay) => {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(DATE_ONLY.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+    if (Number.isNaN(date.getTime())) {
+      throw createError('analytics.badDate', { value });
+    }
+    return date.toISOString();
+  };
+
+  const period = { from: toIso(from, false), to: toIso(to, true) };
+  if (period.from && period.to && period.from > period.to) {
+    throw createError('analytics.badRange');
+  }
+  return period;
+};
+
+/**
+ * A share rounded to three decimals (null when there is nothing to divide)
+ */
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+/**
+ * Whether a question is still drawn, retired or hidden
+ */
+const getStatus = (question) => {
+  if (question.retired) {
+    return 'retired';
+  }
+  return question.hidden ? 'hidden' : 'active';
+};
+
+/**
+ * Aggregate one game's questions over a period
+ */
+const getGameAnalytics = async (game, period) => {
+  const [turns, thumbs, reports, packQuestions] = await Promise.all([
+    questionStatsService.getTurns(game.id, period),
+    questionStatsService.getThumbs(game.id, period),
+    reportService.getQuestionReports(game.id, period),
+    packService.getGamePackQuestions(game.id)
+  ]);
+
+  const rows = new Map();
+  const getRow = (questionId) => {
+    if (!rows.has(questionId)) {
+      rows.set(questionId, {
+        questionId,
+        offers: 0,
+        wins: 0,
+        skips: 0,
+        answers: 0,
+        answerMs: 0,
+        reports: 0,
+        thumbsUp: 0,
+        thumbsDown: 0
+      });
+    }
+    return rows.get(questionId);
+  };
+
+  (game.questions || []).forEach(q => getRow(q.id));
+  turns.forEach(turn => {
+    (turn.offered || []).forEach(questionId => {
+      getRow(questionId).offers += 1;
+    });
+    (turn.skipped || []).forEach(questionId => {
+      getRow(questionId).skips += 1;
+    });
+    if (turn.won) {
+      const row = getRow(turn.won);
+      row.wins += 1;
+      if (typeof turn.answerMs === 'number') {
+        row.answers += 1;
+        row.answerMs += turn.answerMs;
+      }
+    }
+  });
+  reports.forEach(report => {
+    getRow(report.questionId).reports += 1;
+  });
+  thumbs.forEach(({ questionId, thumb }) => {
+    getRow(questionId)[thumb === questionStatsService.THUMBS.UP ? 'thumbsUp' : 'thumbsDown'] += 1;
+  });
+
+  const known = new Map([...packQuestions, ...(game.questions || [])].map(q => [q.id, q]));
+  const questions = Array.from(rows.values()).map(({ answerMs, ...row }) => {
+    const question = known.get(row.questionId) || {};
+    return {
+      questionId: row.questionId,
+      packId: question.packId || null,
+      text: question.text || null,
+      status: question.text ? getStatus(question) : 'deleted',
+      contentRating: question.text ? ratingService.getRating(question) : null,
+      offers: row.offers,
+      wins: row.wins,
+      winRate: toRate(row.wins, row.offers),
+      skips: row.skips,
+      skipRate: toRate(row.skips, row.offers),
+      answers: row.answers,
+      avgAnswerSeconds: row.answers > 0 ? Math.round(answerMs / row.answers / 100) / 10 : null,
+      reports: row.reports,
+      thumbsUp: row.thumbsUp,
+      thumbsDown: row.thumbsDown,
+      rating: toRate(row.thumbsUp, row.thumbsUp + row.thumbsDown)
+    };
+  });
+
+  const totals = questions.reduce((sum, q) => ({
+    offers: sum.offers + q.offers,
+    wins: sum.wins + q.wins,
+    skips: sum.skips + q.skips,
+    reports: sum.reports + q.reports
+  }), { offers: 0, wins: 0, skips: 0, reports: 0 });
+
+  return {
+    gameId: game.id,
+    gameName: game.name,
+    turns: turns.length,
+    ...totals,
+    questions: questions.sort((a, b) => b.offers - a.offers || b.wins - a.wins)
+  };
+};
+
+/**
+ * Question analytics for one game or all of them, over a period
+ * `from` and `to` are ISO dates or timestamps (either may be left out).
+ */
+const getQuestionAnalytics = async ({ gameId = null, from = null, to = null } = {}) => {
+  const period = toPeriod({ from, to });
+  let games;
+
+  if (gameId) {
+    const game = await gameService.getGameById(gameId);
+    if (!game) {
+      throw createError('games.notFound');
+    }
+    games = [game];
+  } else {
+    games = await gameService.getAllGames({ includeDisabled: true });
+  }
+
+  const analytics = await Promise.all(games.map(game => getGameAnalytics(game, period)));
+
+  return {
+    ...period,
+    generatedAt: new Date().toISOString(),
+    games: analytics.filter((entry, index) => entry.turns > 0 || gameModes.resolveModeId(games[index]) !== PROMPT_MODE)
+  };
+};
+
+/**
+ * Write analytics as CSV, one row per question
+ */
+const formatCsv = (analytics) => {
+  const lines = [COLUMNS.join(',')];
+  analytics.games.forEach(game => {
+    game.questions.forEach(question => {
+      const row = { gameId: game.gameId, gameName: game.gameName, ...question };
+      lines.push(COLUMNS.map(name => toCsvCell(row[name])).join(','));
+    });
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  getQuestionAnalytics,
+  formatCsv
+};
@@ -0,0 +1,58 @@
+const { getStorage } = require('./firebaseService');
+
+/**
+ * Audit trail
+ * Who changed what and when - catalog edits and role changes by admins are
+ * recorded here. An entry names its `scope` (e.g. 'catalog'), the `action`,
+ * the actor and the target IDs, with the changed values in `changes`.
+ */
+
+const COLLECTIONS = {
+  AUDIT_LOG: 'auditLog'
+};
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Record a change
+ */
+const recordChange = async ({ scope, action, actor, target = {}, changes = null }) => {
+  const storage = getStorage();
+  const entry = {
+    scope,
+    action,
+    userId: actor.userId,
+    username: actor.username,
+    ...target,
+    changes,
+    createdAt: new Date().toISOString()
+  };
+
+  const id = await storage.add(COLLECTIONS.AUDIT_LOG, entry);
+  return { id, ...entry };
+};
+
+/**
+ * Get the latest changes of a scope, optionally for one target (e.g.
+ * `{ gameId }`)
+ */
+const getChanges = async (scope, target = {}, { limit = DEFAULT_LIMIT } = {}) => {
+  const storage = getStorage();
+  const where = [['scope', '==', scope]];
+  Object.entries(target).forEach(([field, value]) => {
+    if (value !== undefined && value !== null) {
+      where.push([field, '==', value]);
+    }
+  });
+
+  return storage.find(COLLECTIONS.AUDIT_LOG, {
+    where,
+    orderBy: { field: 'createdAt', direction: 'desc' },
+    limit
+  });
+};
+
+module.exports = {
+  recordChange,
+  getChanges
+};
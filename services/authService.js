@@ -1,20 +1,29 @@
-const { getDb, getAuth, admin } = require('./firebaseService');
+const { getStorage, getAuth, isFirebaseEnabled } = require('./firebaseService');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('./permissionService');
+const { createError } = require('./i18nService');
 
 const COLLECTIONS = {
-  USERS: 'users'
+  USERS: 'users',
+  CREDENTIALS: 'credentials'
 };
 
 /**
  * Verify Firebase ID token
  */
 const verifyToken = async (idToken) => {
+  if (!isFirebaseEnabled()) {
+    throw createError('auth.invalidToken');
+  }
+
   try {
     const auth = getAuth();
     const decodedToken = await auth.verifyIdToken(idToken);
     return decodedToken;
   } catch (error) {
-    throw new Error('Invalid token');
+    throw createError('auth.invalidToken');
   }
 };
 
@@ -22,8 +31,7 @@ const verifyToken = async (idToken) => {
  * Create or update user
  */
 const createOrUpdateUser = async (firebaseUser) => {
-  const db = getDb();
-  const userRef = db.collection(COLLECTIONS.USERS).doc(firebaseUser.uid);
+  const storage = getStorage();
 
   const userData = {
     uid: firebaseUser.uid,
@@ -35,18 +43,19 @@ const createOrUpdateUser = async (firebaseUser) => {
     updatedAt: new Date().toISOString()
   };
 
-  const userDoc = await userRef.get();
-  if (userDoc.exists) {
+  const existingUser = await storage.get(COLLECTIONS.USERS, firebaseUser.uid);
+  if (existingUser) {
     // Update existing user
-    await userRef.update({
+    await storage.update(COLLECTIONS.USERS, firebaseUser.uid, {
       ...userData,
-      createdAt: userDoc.data().createdAt // Preserve original creation date
+      createdAt: existingUser.createdAt // Preserve original creation date
     });
-    return { id: userDoc.id, ...userDoc.data(), ...userData };
+    return { ...existingUser, ...userData, createdAt: existingUser.createdAt };
   } else {
     // Create new user
-    await userRef.set(userData);
-    return { id: userRef.id, ...userData };
+    const newUser = { ...userData, role: ROLES.USER };
+    await storage.set(COLLECTIONS.USERS, firebaseUser.uid, newUser);
+    return { id: firebaseUser.uid, ...newUser };
   }
 };
 
@@ -54,14 +63,8 @@ const createOrUpdateUser = async (firebaseUser) => {
  * Get user by ID
  */
 const getUserById = async (userId) => {
-  const db = getDb();
-  const doc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
-  
-  if (!doc.exists) {
-    return null;
-  }
-
-  return { id: doc.id, ...doc.data() };
+  const storage = getStorage();
+  return storage.get(COLLECTIONS.USERS, userId);
 };
 
 /**
@@ -85,14 +88,77 @@ const verifyJWT = (token) => {
   try {
     return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
   } catch (error) {
-    throw new Error('Invalid token');
+    throw createError('auth.invalidToken');
   }
 };
 
+/**
+ * Create a local account (memory storage driver - no Firebase Auth available)
+ * The password hash is kept in its own collection so it never travels with the
+ * user profile.
+ */
+const createLocalUser = async (email, password, displayName) => {
+  const storage = getStorage();
+
+  const existing = await storage.find(COLLECTIONS.USERS, {
+    where: [['email', '==', email]],
+    limit: 1
+  });
+  if (existing.length > 0) {
+    throw createError('auth.emailRegistered');
+  }
+
+  const uid = uuidv4();
+  await storage.set(COLLECTIONS.CREDENTIALS, uid, {
+    passwordHash: await bcrypt.hash(password, 10),
+    createdAt: new Date().toISOString()
+  });
+
+  return createOrUpdateUser({
+    uid,
+    email,
+    name: displayName,
+    displayName,
+    username: email.split('@')[0],
+    createdAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Verify a local account password (memory storage driver)
+ */
+const verifyLocalPassword = async (email, password) => {
+  const storage = getStorage();
+
+  const [user] = await storage.find(COLLECTIONS.USERS, {
+    where: [['email', '==', email]],
+    limit: 1
+  });
+  if (!user) {
+    throw createError('auth.userNotFound');
+  }
+
+  const credentials = await storage.get(COLLECTIONS.CREDENTIALS, user.id);
+  if (!credentials || !(await bcrypt.compare(password, credentials.passwordHash))) {
+    throw createError('auth.invalidCredentials');
+  }
+
+  return {
+    uid: user.id,
+    email: user.email,
+    displayName: user.displayName,
+    emailVerified: false
+  };
+};
+
 /**
  * Create user with email and password
  */
 const createUserWithEmailPassword = async (email, password, displayName) => {
+  if (!isFirebaseEnabled()) {
+    return createLocalUser(email, password, displayName);
+  }
+
   try {
     const auth = getAuth();
     
@@ -117,15 +183,15 @@ const createUserWithEmailPassword = async (email, password, displayName) => {
     return user;
   } catch (error) {
     if (error.code === 'auth/email-already-exists') {
-      throw new Error('Email already registered');
+      throw createError('auth.emailRegistered');
     }
     if (error.code === 'auth/invalid-email') {
-      throw new Error('Invalid email address');
+      throw createError('auth.invalidEmail');
     }
     if (error.code === 'auth/weak-password') {
-      throw new Error('Password is too weak');
+      throw createError('auth.weakPassword');
     }
-    throw new Error(error.message || 'Failed to create user');
+    throw error.message ? new Error(error.message) : createError('auth.createFailed');
   }
 };
 
@@ -133,31 +199,47 @@ const createUserWithEmailPassword = async (email, password, displayName) => {
  * Get user by email or username
  */
 const getUserByEmailOrUsername = async (identifier) => {
-  const db = getDb();
+  const storage = getStorage();
   
   // Try to find by email first
-  let snapshot = await db.collection(COLLECTIONS.USERS)
-    .where('email', '==', identifier)
-    .limit(1)
-    .get();
-
-  if (!snapshot.empty) {
-    const doc = snapshot.docs[0];
-    return { id: doc.id, ...doc.data() };
+  let users = await storage.find(COLLECTIONS.USERS, {
+    where: [['email', '==', identifier]],
+    limit: 1
+  });
+
+  if (users.length > 0) {
+    return users[0];
   }
 
   // Try to find by username
-  snapshot = await db.collection(COLLECTIONS.USERS)
-    .where('username', '==', identifier)
-    .limit(1)
-    .get();
-
-  if (!snapshot.empty) {
-    const doc = snapshot.docs[0];
-    return { id: doc.id, ...doc.data() };
+  users = await storage.find(COLLECTIONS.USERS, {
+    where: [['username', '==', identifier]],
+    limit: 1
+  });
+
+  return users[0] || null;
+};
+
+/**
+ * Set a user's role (see permissionService.ROLES)
+ */
+const setUserRole = async (userId, role) => {
+  const storage = getStorage();
+
+  if (!Object.values(ROLES).includes(role)) {
+    throw createError('auth.invalidRole', { roles: Object.values(ROLES).join(', ') });
   }
 
-  return null;
+  const user = await storage.get(COLLECTIONS.USERS, userId);
+  if (!user) {
+    throw createError('auth.userNotFound');
+  }
+
+  await storage.update(COLLECTIONS.USERS, userId, {
+    role,
+    updatedAt: new Date().toISOString()
+  });
+  return { ...user, role };
 };
 
 /**
@@ -165,8 +247,11 @@ const getUserByEmailOrUsername = async (identifier) => {
  * This allows backend to verify passwords without client SDK
  */
 const verifyEmailPassword = async (email, password) => {
+  if (!isFirebaseEnabled()) {
+    return verifyLocalPassword(email, password);
+  }
+
   try {
-    const { getAuth } = require('./firebaseService');
     const auth = getAuth();
     
     // Get user by email from Firebase Auth
@@ -175,7 +260,7 @@ const verifyEmailPassword = async (email, password) => {
       userRecord = await auth.getUserByEmail(email);
     } catch (error) {
       if (error.code === 'auth/user-not-found') {
-        throw new Error('User not found');
+        throw createError('auth.userNotFound');
       }
       throw error;
     }
@@ -208,12 +293,12 @@ const verifyEmailPassword = async (email, password) => {
           errorMessage.includes('INVALID_PASSWORD') || 
           errorMessage.includes('wrong-password') ||
           errorCode === 400) {
-        throw new Error('Invalid email or password');
+        throw createError('auth.invalidCredentials');
       }
       if (errorMessage.includes('EMAIL_NOT_FOUND') || 
           errorMessage.includes('user-not-found') ||
           errorCode === 400) {
-        throw new Error('User not found');
+        throw createError('auth.userNotFound');
       }
       // Log the actual error for debugging
       console.error('Firebase Auth Error:', {
@@ -221,7 +306,7 @@ const verifyEmailPassword = async (email, password) => {
         code: errorCode,
         fullError: data.error
       });
-      throw new Error(errorMessage || 'Authentication failed');
+      throw errorMessage ? new Error(errorMessage) : createError('auth.failed');
     }
 
     // Return user record
@@ -248,10 +333,10 @@ const verifyEmailPassword = async (email, password) => {
     
     // Provide user-friendly error message
     if (error.message && error.message.includes('INVALID_LOGIN_CREDENTIALS')) {
-      throw new Error('Invalid email or password');
+      throw createError('auth.invalidCredentials');
     }
     
-    throw new Error(error.message || 'Authentication failed');
+    throw error.message ? new Error(error.message) : createError('auth.failed');
   }
 };
 
@@ -263,6 +348,7 @@ module.exports = {
   verifyJWT,
   createUserWithEmailPassword,
   getUserByEmailOrUsername,
-  verifyEmailPassword
+  verifyEmailPassword,
+  setUserRole
 };
 
@@ -0,0 +1,400 @@
+const { getStorage } = require('./firebaseService');
+const { v4: uuidv4 } = require('uuid');
+const gameService = require('./gameService');
+const auditService = require('./auditService');
+const questionFileService = require('./questionFileService');
+const gameModes = require('./gameModes');
+const { createError } = require('./i18nService');
+
+/**
+ * Game catalog management (admins)
+ * Create, edit, disable and delete games, and add, edit, retire and reorder
+ * their questions. Edits run in a transaction on the game document and every
+ * change lands in the audit trail with who made it.
+ *
+ * Retired questions stay on the game (rooms and stats may still point at
+ * them) but are no longer drawn; disabled games are hidden from players and
+ * cannot get new rooms. Moderators hide reported questions the same way.
+ */
+
+const COLLECTIONS = {
+  GAMES: 'games'
+};
+
+const AUDIT_SCOPE = 'catalog';
+
+const GAME_FIELDS = ['name', 'description', 'category', 'mode', 'minPlayers', 'maxPlayers', 'enabled'];
+
+// Set by retiring or hiding a question - kept through edits
+const STATE_FIELDS = ['retired', 'retiredAt', 'retiredBy', 'hidden', 'hiddenAt', 'hiddenBy'];
+
+/**
+ * Check a mode ID is one of the registered modes
+ */
+const toModeId = (mode) => {
+  if (gameModes.resolveModeId({ mode }) !== mode) {
+    throw createError('catalog.unknownMode', { mode });
+  }
+  return mode;
+};
+
+/**
+ * Check a question against a mode, keeping its catalog fields (ID, retired,
+ * hidden)
+ */
+const toCatalogQuestion = (modeId, question, current = {}) => {
+  const checked = { id: current.id || question.id, ...gameModes.toCustomQuestion(modeId, question) };
+  STATE_FIELDS.forEach(field => {
+    if (current[field] !== undefined) {
+      checked[field] = current[field];
+    }
+  });
+  return checked;
+};
+
+/**
+ * Check a list of questions for a new game or a mode change
+ */
+const toCatalogQuestions = (modeId, questions) => {
+  const ids = new Set();
+  return questions.map((question, index) => {
+    try {
+      const checked = toCatalogQuestion(modeId, { ...question, id: question.id || uuidv4() }, question);
+      if (ids.has(checked.id)) {
+        throw createError('catalog.duplicateQuestionId', { id: checked.id });
+      }
+      ids.add(checked.id);
+      return checked;
+    } catch (error) {
+      throw createError('questions.invalidRow', { row: index + 1, error });
+    }
+  });
+};
+
+/**
+ * Check min/max players once both are known
+ */
+const checkPlayerCounts = ({ minPlayers, maxPlayers }) => {
+  if (minPlayers > maxPlayers) {
+    throw createError('catalog.playerCounts');
+  }
+};
+
+/**
+ * Find a question of a game by ID
+ */
+const findQuestion = (game, questionId) => {
+  const questions = game.questions || [];
+  const index = questions.findIndex(q => q.id === questionId);
+  if (index === -1) {
+    throw createError('catalog.questionNotFound');
+  }
+  return { questions, index, question: questions[index] };
+};
+
+/**
+ * Apply a catalog change to a game inside a transaction, then audit it
+ * The mutator receives the latest copy of the game and returns
+ * `{ changes, action, target, details }` (details are stored in the audit
+ * entry).
+ */
+const mutateGame = async (actor, gameId, mutator) => {
+  const storage = getStorage();
+
+  const { game, action, target, details } = await storage.runTransaction(async (transaction) => {
+    const current = await transaction.get(COLLECTIONS.GAMES, gameId);
+
+    if (!current) {
+      throw createError('games.notFound');
+    }
+
+    const result = mutator(current);
+    const update = {
+      ...result.changes,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor.userId
+    };
+
+    transaction.update(COLLECTIONS.GAMES, gameId, update);
+    return { ...result, game: { ...current, ...update } };
+  });
+
+  await auditService.recordChange({
+    scope: AUDIT_SCOPE,
+    action,
+    actor,
+    target: { gameId, ...target },
+    changes: details
+  });
+
+  return game;
+};
+
+/**
+ * Create a game
+ */
+const createGame = async (actor, gameData) => {
+  const mode = toModeId(gameData.mode || gameModes.resolveModeId(null));
+  const minPlayers = parseInt(gameData.minPlayers, 10) || 2;
+  const maxPlayers = parseInt(gameData.maxPlayers, 10) || 10;
+  checkPlayerCounts({ minPlayers, maxPlayers });
+
+  const game = await gameService.createGame({
+    ...gameData,
+    mode,
+    minPlayers,
+    maxPlayers,
+    questions: toCatalogQuestions(mode, gameData.questions || []),
+    createdBy: actor.userId
+  });
+
+  await auditService.recordChange({
+    scope: AUDIT_SCOPE,
+    action: 'game_created',
+    actor,
+    target: { gameId: game.id },
+    changes: { name: game.name, mode: game.mode, questionCount: game.questions.length }
+  });
+
+  return game;
+};
+
+/**
+ * Edit a game's details - name, description, category, mode, player counts
+ * and whether it is enabled
+ * Changing the mode checks every question against the new mode.
+ */
+const updateGame = async (actor, gameId, updates) => mutateGame(actor, gameId, (game) => {
+  const changes = {};
+  const before = {};
+
+  GAME_FIELDS.forEach(field => {
+    if (updates[field] !== undefined && updates[field] !== game[field]) {
+      changes[field] = updates[field];
+      before[field] = game[field] === undefined ? null : game[field];
+    }
+  });
+
+  if (changes.mode !== undefined) {
+    changes.mode = toModeId(changes.mode);
+    changes.questions = toCatalogQuestions(changes.mode, game.questions || []);
+  }
+  ['minPlayers', 'maxPlayers'].forEach(field => {
+    if (changes[field] !== undefined) {
+      changes[field] = parseInt(changes[field], 10);
+    }
+  });
+  checkPlayerCounts({ ...game, ...changes });
+
+  const { questions, ...after } = changes;
+  const action = Object.keys(after).length === 1 && after.enabled !== undefined
+    ? (after.enabled ? 'game_enabled' : 'game_disabled')
+    : 'game_updated';
+
+  return { changes, action, details: { before, after } };
+});
+
+/**
+ * Delete a game
+ * Rooms that played it keep their name and history but cannot start again.
+ */
+const deleteGame = async (actor, gameId) => {
+  const storage = getStorage();
+  const game = await gameService.getGameById(gameId);
+
+  if (!game) {
+    throw createError('games.notFound');
+  }
+
+  await storage.delete(COLLECTIONS.GAMES, gameId);
+  await auditService.recordChange({
+    scope: AUDIT_SCOPE,
+    action: 'game_deleted',
+    actor,
+    target: { gameId },
+    changes: { name: game.name, mode: game.mode, questionCount: (game.questions || []).length }
+  });
+
+  return { success: true };
+};
+
+/**
+ * Add a question to a game (with the given ID, or a new one)
+ */
+const addQuestion = async (actor, gameId, question) => mutateGame(actor, gameId, (game) => {
+  const questions = game.questions || [];
+  const id = question.id || uuidv4();
+
+  if (questions.some(q => q.id === id)) {
+    throw createError('catalog.questionIdUsed', { id });
+  }
+
+  const added = toCatalogQuestion(gameModes.resolveModeId(game), { ...question, id });
+  return {
+    changes: { questions: [...questions, added] },
+    action: 'question_added',
+    target: { questionId: id },
+    details: { after: added }
+  };
+});
+
+/**
+ * Import a JSON or CSV file of questions into a game
+ * Questions are checked against the game's mode, and the ones it already has
+ * are skipped as duplicates. Nothing is written on a dry run or when any
+ * question is invalid - the report says what would happen.
+ */
+const importQuestions = async (actor, gameId, content, format, { dryRun = false } = {}) => {
+  const parsed = questionFileService.parseQuestions(content, format);
+  const game = await gameService.getGameById(gameId);
+
+  if (!game) {
+    throw createError('games.notFound');
+  }
+
+  const { report } = questionFileService.checkImport(game, parsed, game.questions || []);
+  if (dryRun || report.invalid.length > 0 || report.added === 0) {
+    return { ...report, dryRun, imported: false };
+  }
+
+  // Checked again against the latest copy of the game
+  let imported = report;
+  await mutateGame(actor, gameId, (current) => {
+    const { questions, report: checked } = questionFileService.checkImport(current, parsed, current.questions || []);
+    imported = checked;
+    return {
+      changes: { questions: [...(current.questions || []), ...questions] },
+      action: 'questions_imported',
+      details: { count: questions.length, questionIds: questions.map(q => q.id) }
+    };
+  });
+
+  return { ...imported, dryRun, imported: true };
+};
+
+/**
+ * Edit a question - the given fields replace the current ones
+ */
+const updateQuestion = async (actor, gameId, questionId, updates) => mutateGame(actor, gameId, (game) => {
+  const { questions, index, question } = findQuestion(game, questionId);
+  const updated = toCatalogQuestion(gameModes.resolveModeId(game), { ...question, ...updates }, question);
+
+  return {
+    changes: { questions: questions.map((q, i) => (i === index ? updated : q)) },
+    action: 'question_updated',
+    target: { questionId },
+    details: { before: question, after: updated }
+  };
+});
+
+/**
+ * Retire a question (no longer drawn) or bring it back
+ */
+const setQuestionRetired = async (actor, gameId, questionId, retired) => mutateGame(actor, gameId, (game) => {
+  const { questions, index, question } = findQuestion(game, questionId);
+
+  if (!!question.retired === retired) {
+    throw createError(retired ? 'catalog.alreadyRetired' : 'catalog.notRetired');
+  }
+
+  const { retired: wasRetired, retiredAt, retiredBy, ...rest } = question;
+  const updated = retired
+    ? { ...rest, retired: true, retiredAt: new Date().toISOString(), retiredBy: actor.userId }
+    : rest;
+
+  return {
+    changes: { questions: questions.map((q, i) => (i === index ? updated : q)) },
+    action: retired ? 'question_retired' : 'question_restored',
+    target: { questionId },
+    details: { text: question.text }
+  };
+});
+
+/**
+ * Hide a reported question (no longer drawn, moderators) - hiding a hidden
+ * question changes nothing
+ */
+const hideQuestion = async (actor, gameId, questionId) => mutateGame(actor, gameId, (game) => {
+  const { questions, index, question } = findQuestion(game, questionId);
+  const updated = question.hidden
+    ? question
+    : { ...question, hidden: true, hiddenAt: new Date().toISOString(), hiddenBy: actor.userId };
+
+  return {
+    changes: { questions: questions.map((q, i) => (i === index ? updated : q)) },
+    action: 'question_hidden',
+    target: { questionId },
+    details: { text: question.text }
+  };
+});
+
+/**
+ * Put a game's questions in the given order - every question ID exactly once
+ */
+const reorderQuestions = async (actor, gameId, questionIds) => mutateGame(actor, gameId, (game) => {
+  const questions = game.questions || [];
+  const byId = new Map(questions.map(q => [q.id, q]));
+
+  if (questionIds.length !== questions.length || new Set(questionIds).size !== questionIds.length ||
+      questionIds.some(id => !byId.has(id))) {
+    throw createError('catalog.questionOrder');
+  }
+
+  return {
+    changes: { questions: questionIds.map(id => byId.get(id)) },
+    action: 'questions_reordered',
+    details: { before: questions.map(q => q.id), after: questionIds }
+  };
+});
+
+/**
+ * Set the order games are listed in - every game ID exactly once
+ */
+const reorderGames = async (actor, gameIds) => {
+  const storage = getStorage();
+  const games = await gameService.getAllGames({ includeDisabled: true });
+  const known = new Set(games.map(g => g.id));
+
+  if (gameIds.length !== games.length || new Set(gameIds).size !== gameIds.length ||
+      gameIds.some(id => !known.has(id))) {
+    throw createError('catalog.gameOrder');
+  }
+
+  const batch = storage.batch();
+  gameIds.forEach((gameId, index) => {
+    batch.update(COLLECTIONS.GAMES, gameId, {
+      sortOrder: index + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor.userId
+    });
+  });
+  await batch.commit();
+
+  await auditService.recordChange({
+    scope: AUDIT_SCOPE,
+    action: 'games_reordered',
+    actor,
+    changes: { before: games.map(g => g.id), after: gameIds }
+  });
+
+  return gameService.getAllGames({ includeDisabled: true });
+};
+
+/**
+ * Get the latest catalog changes, optionally for one game
+ */
+const getCatalogChanges = async ({ gameId = null, limit } = {}) => auditService.getChanges(AUDIT_SCOPE, { gameId }, { limit });
+
+module.exports = {
+  createGame,
+  updateGame,
+  deleteGame,
+  addQuestion,
+  importQuestions,
+  updateQuestion,
+  setQuestionRetired,
+  hideQuestion,
+  reorderQuestions,
+  reorderGames,
+  getCatalogChanges
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./firebaseService');
+const { createError } = require('./i18nService');
+
+/**
+ * Content filter
+ * Screens text written by players - answers, custom questions, room names and
+ * usernames - against a local word list (`config/wordlist.json`, or the file
+ * named by WORDLIST_FILE). Matching sees through case, accents, leetspeak
+ * (`sh1t`, `$hit`), repeated letters and spacing tricks (`f.u.c.k`), but only
+ * whole words, so `Scunthorpe` and `class` go through.
+ *
+ * Rooms choose what happens to a match (`settings.profanityFilter`): mask it
+ * with asterisks, reject the text, or only flag it. Everything else is
+ * rejected. Every match is logged for moderators.
+ */
+
+const COLLECTIONS = {
+  FILTER_EVENTS: 'filterEvents'
+};
+
+const FILTER_MODES = {
+  MASK: 'mask', // replace the words with asterisks
+  REJECT: 'reject', // refuse the text
+  FLAG: 'flag' // let it through, but log it
+};
+
+const DEFAULT_FILTER_MODE = FILTER_MODES.MASK;
+
+// Where the text came from, as logged
+const SOURCES = {
+  ANSWER: 'answer',
+  QUESTION: 'question',
+  ROOM_NAME: 'room_name',
+  TEAM_NAME: 'team_name',
+  USERNAME: 'username'
+};
+
+const DEFAULT_WORDLIST_FILE = path.join(__dirname, '..', 'config', 'wordlist.json');
+
+const DEFAULT_LIMIT = 50;
+
+// Characters commonly typed in place of a letter
+const LOOKALIKES = {
+  a: 'a4@',
+  b: 'b8',
+  e: 'e3',
+  g: 'g9',
+  i: 'i1!|',
+  l: 'l1|',
+  o: 'o0',
+  s: 's5$',
+  t: 't7+'
+};
+
+// Lookalikes that are not letters or digits - they never separate letters
+const LOOKALIKE_SYMBOLS = '!|@$+';
+
+// Endings a listed word may carry (`fucking`, `bitches`, `shitty`)
+const ENDINGS = '(?:s|es|ed|er|ers|ing|in|y)?';
+
+// Most extra repeats of a letter matched (`fuuuck`) - keeps matching linear
+const MAX_REPEATS = 20;
+
+const escapeClass = (chars) => chars.replace(/[\\\]^-]/g, '\\$&');
+
+const SEPARATOR = `[^a-z0-9${escapeClass(LOOKALIKE_SYMBOLS)}]*`;
+
+/**
+ * Lowercase a text and strip its accents, keeping one character per character
+ * so matches line up with the original
+ */
+const normalize = (text) => text
+  .split('')
+  .map(char => (char.normalize('NFD')[0] || char).toLowerCase()[0] || char)
+  .join('');
+
+/**
+ * Pattern for one listed word or phrase - each letter may repeat, be typed as
+ * a lookalike and be followed by separators
+ */
+const toWordPattern = (entry) => {
+  const runs = [];
+  normalize(entry).replace(/[^a-z]/g, '').split('').forEach(letter => {
+    const last = runs[runs.length - 1];
+    if (last && last.letter === letter) {
+      last.count++;
+    } else {
+      runs.push({ letter, count: 1 });
+    }
+  });
+
+  return runs
+    .map(({ letter, count }) => {
+      const chars = `[${escapeClass(LOOKALIKES[letter] || letter)}]`;
+      return `${chars}(?:${SEPARATOR}${chars}){${count - 1},${count - 1 + MAX_REPEATS}}`;
+    })
+    .join(SEPARATOR);
+};
+
+/**
+ * Load the word list and build its pattern (null when the list is empty)
+ */
+const loadPattern = () => {
+  const file = process.env.WORDLIST_FILE || DEFAULT_WORDLIST_FILE;
+  const { words = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const patterns = words
+    .filter(word => typeof word === 'string' && /[a-z]/i.test(word))
+    // Longest first, so a phrase wins over a word inside it
+    .sort((a, b) => b.length - a.length)
+    .map(toWordPattern);
+
+  if (patterns.length === 0) {
+    return null;
+  }
+
+  const boundary = `a-z0-9${escapeClass(LOOKALIKE_SYMBOLS)}`;
+  return new RegExp(`(?<![${boundary}])(?:${patterns.join('|')})${ENDINGS}(?![a-z0-9])`, 'g');
+};
+
+const pattern = loadPattern();
+
+/**
+ * Find the listed words in a text - `[{ start, end }]` into the original
+ */
+const findMatches = (text) => {
+  if (!pattern || typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  return Array.from(normalize(text).matchAll(pattern), match => ({
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Replace the matched words with asterisks (spaces inside a match are kept)
+ */
+const maskText = (text, matches) => matches.reduce((masked, { start, end }) => (
+  masked.slice(0, start) + masked.slice(start, end).replace(/\S/g, '*') + masked.slice(end)
+), text);
+
+/**
+ * Check one text - the words found in it and the text with them masked
+ */
+const checkText = (text) => {
+  const matches = findMatches(text);
+  return {
+    words: matches.map(({ start, end }) => text.slice(start, end)),
+    masked: matches.length > 0 ? maskText(text, matches) : text
+  };
+};
+
+/**
+ * Apply a filter mode to named text fields (a field may hold a list of texts)
+ * Pure - returns the fields to keep (masked in mask mode), what was caught
+ * and whether the text must be refused.
+ */
+const filterFields = (fields, mode = DEFAULT_FILTER_MODE) => {
+  const kept = {};
+  const filtered = [];
+
+  Object.entries(fields).forEach(([field, value]) => {
+    const texts = Array.isArray(value) ? value : [value];
+    const checked = texts.map(text => (typeof text === 'string' ? checkText(text) : null));
+
+    checked.forEach((result, index) => {
+      if (result && result.words.length > 0) {
+        filtered.push({ field, text: texts[index], words: result.words });
+      }
+    });
+
+    if (mode === FILTER_MODES.MASK) {
+      const masked = checked.map((result, index) => (result ? result.masked : texts[index]));
+      kept[field] = Array.isArray(value) ? masked : masked[0];
+    } else {
+      kept[field] = value;
+    }
+  });
+
+  return {
+    fields: kept,
+    filtered,
+    rejected: mode === FILTER_MODES.REJECT && filtered.length > 0
+  };
+};
+
+/**
+ * Log what a filter caught, one entry per text
+ */
+const recordFilterEvents = async (filtered, { mode, source, userId, roomId = null }) => {
+  const storage = getStorage();
+  const createdAt = new Date().toISOString();
+
+  await Promise.all(filtered.map(({ field, text, words }) => storage.add(COLLECTIONS.FILTER_EVENTS, {
+    source,
+    mode,
+    field,
+    text,
+    words,
+    userId,
+    roomId,
+    createdAt
+  })));
+};
+
+/**
+ * Filter text fields and log anything caught
+ * `context` is `{ mode, source, userId, roomId }`.
+ */
+const screenFields = async (fields, context) => {
+  const mode = Object.values(FILTER_MODES).includes(context.mode) ? context.mode : DEFAULT_FILTER_MODE;
+  const result = filterFields(fields, mode);
+
+  if (result.filtered.length > 0) {
+    await recordFilterEvents(result.filtered, { ...context, mode });
+  }
+
+  return result;
+};
+
+/**
+ * Refuse text fields holding a listed word (logged like any other match)
+ */
+const checkFields = async (fields, context) => {
+  const result = await screenFields(fields, { ...context, mode: FILTER_MODES.REJECT });
+
+  if (result.rejected) {
+    throw createError('moderation.textRejected', { field: result.filtered[0].field });
+  }
+};
+
+/**
+ * Get the latest filter events, optionally for one room, user or source
+ */
+const getFilterEvents = async ({ roomId, userId, source, limit = DEFAULT_LIMIT } = {}) => {
+  const storage = getStorage();
+  const where = [];
+  Object.entries({ roomId, userId, source }).forEach(([field, value]) => {
+    if (value !== undefined && value !== null) {
+      where.push([field, '==', value]);
+    }
+  });
+
+  return storage.find(COLLECTIONS.FILTER_EVENTS, {
+    where,
+    orderBy: { field: 'createdAt', direction: 'desc' },
+    limit
+  });
+};
+
+module.exports = {
+  FILTER_MODES,
+  DEFAULT_FILTER_MODE,
+  SOURCES,
+  checkText,
+  filterFields,
+  screenFields,
+  checkFields,
+  getFilterEvents
+};
@@ -1,13 +1,26 @@
 const admin = require('firebase-admin');
+const { DRIVERS, getDriverName, createStorage } = require('./storage');
 
 let db = null;
+let storage = null;
 let initialized = false;
 
+/**
+ * Whether the server is backed by Firebase (false for the in-memory driver)
+ */
+const isFirebaseEnabled = () => getDriverName() === DRIVERS.FIRESTORE;
+
 const initialize = () => {
   if (initialized) {
     return db;
   }
 
+  if (!isFirebaseEnabled()) {
+    initialized = true;
+    console.log(`✅ Using ${getDriverName()} storage - Firebase Admin not initialized`);
+    return db;
+  }
+
   try {
     // Initialize Firebase Admin SDK
     if (!admin.apps.length) {
@@ -56,17 +69,32 @@ const getDb = () => {
   return db;
 };
 
+/**
+ * Get the storage backend selected by STORAGE_DRIVER
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(getDriverName(), { db: getDb() });
+  }
+  return storage;
+};
+
 const getAuth = () => {
   if (!initialized) {
     initialize();
   }
+  if (!isFirebaseEnabled()) {
+    throw new Error('Firebase Auth is not available with the memory storage driver');
+  }
   return admin.auth();
 };
 
 module.exports = {
   initialize,
   getDb,
+  getStorage,
   getAuth,
+  isFirebaseEnabled,
   admin
 };
 
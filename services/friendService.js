@@ -1,4 +1,5 @@
-const { getDb } = require('./firebaseService');
+const { getStorage } = require('./firebaseService');
+const { createError } = require('./i18nService');
 
 const COLLECTIONS = {
   USERS: 'users',
@@ -9,20 +10,17 @@ const COLLECTIONS = {
  * Send friend request
  */
 const sendFriendRequest = async (fromUserId, toUserId) => {
-  const db = getDb();
+  const storage = getStorage();
   
   // Check if friendship already exists
-  const existing = await db.collection(COLLECTIONS.FRIENDSHIPS)
-    .where('users', 'array-contains', fromUserId)
-    .get();
-
-  const friendshipExists = existing.docs.some(doc => {
-    const data = doc.data();
-    return data.users.includes(toUserId);
+  const existing = await storage.find(COLLECTIONS.FRIENDSHIPS, {
+    where: [['users', 'array-contains', fromUserId]]
   });
 
+  const friendshipExists = existing.some(friendship => friendship.users.includes(toUserId));
+
   if (friendshipExists) {
-    throw new Error('Friendship already exists');
+    throw createError('friends.exists');
   }
 
   // Create friend request
@@ -34,81 +32,82 @@ const sendFriendRequest = async (fromUserId, toUserId) => {
     updatedAt: new Date().toISOString()
   };
 
-  const docRef = await db.collection(COLLECTIONS.FRIENDSHIPS).add(friendship);
-  return { id: docRef.id, ...friendship };
+  const id = await storage.add(COLLECTIONS.FRIENDSHIPS, friendship);
+  return { id, ...friendship };
 };
 
 /**
  * Accept friend request
  */
 const acceptFriendRequest = async (friendshipId, userId) => {
-  const db = getDb();
-  const doc = await db.collection(COLLECTIONS.FRIENDSHIPS).doc(friendshipId).get();
+  const storage = getStorage();
+  const friendship = await storage.get(COLLECTIONS.FRIENDSHIPS, friendshipId);
   
-  if (!doc.exists) {
-    throw new Error('Friend request not found');
+  if (!friendship) {
+    throw createError('friends.requestNotFound');
   }
 
-  const friendship = doc.data();
   if (!friendship.users.includes(userId)) {
-    throw new Error('Unauthorized');
+    throw createError('common.unauthorized');
   }
 
   if (friendship.status !== 'pending') {
-    throw new Error('Friend request already processed');
+    throw createError('friends.requestProcessed');
   }
 
-  await db.collection(COLLECTIONS.FRIENDSHIPS).doc(friendshipId).update({
+  await storage.update(COLLECTIONS.FRIENDSHIPS, friendshipId, {
     status: 'accepted',
     updatedAt: new Date().toISOString()
   });
 
-  return { id: doc.id, ...friendship, status: 'accepted' };
+  return { ...friendship, status: 'accepted' };
 };
 
 /**
- * Get user's friends
+ * Get the IDs of a user's accepted friends
  */
-const getUserFriends = async (userId) => {
-  const db = getDb();
-  const snapshot = await db.collection(COLLECTIONS.FRIENDSHIPS)
-    .where('users', 'array-contains', userId)
-    .where('status', '==', 'accepted')
-    .get();
-
-  const friendships = snapshot.docs.map(doc => doc.data());
-  const friendIds = friendships
+const getFriendIds = async (userId) => {
+  const storage = getStorage();
+  const friendships = await storage.find(COLLECTIONS.FRIENDSHIPS, {
+    where: [
+      ['users', 'array-contains', userId],
+      ['status', '==', 'accepted']
+    ]
+  });
+
+  return friendships
     .map(f => f.users.find(id => id !== userId))
     .filter(Boolean);
+};
+
+/**
+ * Get user's friends
+ */
+const getUserFriends = async (userId) => {
+  const storage = getStorage();
+  const friendIds = await getFriendIds(userId);
 
   if (friendIds.length === 0) {
     return [];
   }
 
   // Get friend user details
-  const admin = require('firebase-admin');
-  const usersSnapshot = await db.collection(COLLECTIONS.USERS)
-    .where(admin.firestore.FieldPath.documentId(), 'in', friendIds)
-    .get();
-
-  return usersSnapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+  return storage.getMany(COLLECTIONS.USERS, friendIds);
 };
 
 /**
  * Get pending friend requests
  */
 const getPendingRequests = async (userId) => {
-  const db = getDb();
-  const snapshot = await db.collection(COLLECTIONS.FRIENDSHIPS)
-    .where('users', 'array-contains', userId)
-    .where('status', '==', 'pending')
-    .where('requestedBy', '!=', userId)
-    .get();
-
-  const requests = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const storage = getStorage();
+  const requests = await storage.find(COLLECTIONS.FRIENDSHIPS, {
+    where: [
+      ['users', 'array-contains', userId],
+      ['status', '==', 'pending'],
+      ['requestedBy', '!=', userId]
+    ]
+  });
+
   const requesterIds = requests.map(r => r.requestedBy);
 
   if (requesterIds.length === 0) {
@@ -116,15 +115,11 @@ const getPendingRequests = async (userId) => {
   }
 
   // Get requester user details
-  const admin = require('firebase-admin');
-  const usersSnapshot = await db.collection(COLLECTIONS.USERS)
-    .where(admin.firestore.FieldPath.documentId(), 'in', requesterIds)
-    .get();
-
-  return usersSnapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data(),
-    requestId: requests.find(r => r.requestedBy === doc.id)?.id
+  const users = await storage.getMany(COLLECTIONS.USERS, requesterIds);
+
+  return users.map(user => ({
+    ...user,
+    requestId: requests.find(r => r.requestedBy === user.id)?.id
   }));
 };
 
@@ -132,25 +127,25 @@ const getPendingRequests = async (userId) => {
  * Remove friend
  */
 const removeFriend = async (friendshipId, userId) => {
-  const db = getDb();
-  const doc = await db.collection(COLLECTIONS.FRIENDSHIPS).doc(friendshipId).get();
+  const storage = getStorage();
+  const friendship = await storage.get(COLLECTIONS.FRIENDSHIPS, friendshipId);
   
-  if (!doc.exists) {
-    throw new Error('Friendship not found');
+  if (!friendship) {
+    throw createError('friends.notFound');
   }
 
-  const friendship = doc.data();
   if (!friendship.users.includes(userId)) {
-    throw new Error('Unauthorized');
+    throw createError('common.unauthorized');
   }
 
-  await db.collection(COLLECTIONS.FRIENDSHIPS).doc(friendshipId).delete();
+  await storage.delete(COLLECTIONS.FRIENDSHIPS, friendshipId);
   return { success: true };
 };
 
 module.exports = {
   sendFriendRequest,
   acceptFriendRequest,
+  getFriendIds,
   getUserFriends,
   getPendingRequests,
   removeFriend
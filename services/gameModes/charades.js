@@ -0,0 +1,271 @@
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../i18nService');
+
+/**
+ * Charades mode
+ * The player whose turn it is acts out a prompt that only they receive (a
+ * private emit - the prompt sits in the room secrets, never in the room). The
+ * others send free-text guesses that are fuzzily matched on the server. The
+ * first correct guess scores for the guesser and the actor; otherwise the
+ * acting time runs out and the prompt is revealed. Only then does the room get
+ * the prompt's ID (`promptId`), for the question stats and thumbs.
+ */
+
+const PHASES = {
+  ACTING: 'acting',
+  REVEAL: 'reveal'
+};
+
+const MAX_GUESS_LENGTH = 100;
+
+const POINTS = {
+  ACTOR: 1,
+  FIRST_CORRECT_GUESS: 2
+};
+
+/**
+ * Split "Movie: The Lion King" into its category and the words to guess
+ */
+const parsePrompt = (question) => {
+  const match = /^([^:]+):\s*(.+)$/.exec(question.text);
+  return {
+    id: question.id || uuidv4(),
+    text: question.text,
+    category: question.category || (match ? match[1].trim().toLowerCase() : null),
+    difficulty: question.difficulty || 'medium',
+    answer: match ? match[2].trim() : question.text
+  };
+};
+
+/**
+ * Lowercase, drop punctuation and leading articles so "the lion king!" matches
+ * "Lion King"
+ */
+const normalizeGuess = (text) => text
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/^\s*(the|a|an)\s+/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Levenshtein edit distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Whether a guess is close enough to the answer - allows about one typo per
+ * five letters
+ */
+const isCorrectGuess = (guess, answer) => {
+  const normalizedGuess = normalizeGuess(guess);
+  const normalizedAnswer = normalizeGuess(answer);
+
+  if (!normalizedGuess) {
+    return false;
+  }
+
+  const allowedTypos = Math.floor(normalizedAnswer.length / 5);
+  return editDistance(normalizedGuess, normalizedAnswer) <= allowedTypos;
+};
+
+/**
+ * Public view of a prompt - what guessers may know
+ */
+const toPromptHint = (prompt) => (prompt ? {
+  category: prompt.category,
+  difficulty: prompt.difficulty
+} : null);
+
+module.exports = {
+  id: 'charades',
+  name: 'Charades',
+  phases: Object.values(PHASES),
+
+  // The actor gets one prompt and longer than the usual answer time
+  defaultSettings: {
+    candidateCount: 1,
+    answerSeconds: 90,
+    revealSeconds: 10
+  },
+
+  toRoomQuestion: (q) => parsePrompt(q),
+
+  // "Movie: Titanic" - the category is shown to the guessers, so it is required
+  questionFields: (q) => {
+    const { category, answer } = parsePrompt({ text: q.text.trim(), category: q.category });
+    if (!category || typeof category !== 'string') {
+      throw createError('questions.charadesCategory');
+    }
+    if (answer.length > MAX_GUESS_LENGTH) {
+      throw createError('questions.charadesAnswerLength', { max: MAX_GUESS_LENGTH });
+    }
+    return { category: category.trim().toLowerCase() };
+  },
+
+  // Candidates are the actor's prompt - they stay out of the room document
+  startTurn: (room, { questions }) => ({
+    phase: PHASES.ACTING,
+    questions: [],
+    currentQuestion: null,
+    promptId: null,
+    questionSelectedAt: new Date().toISOString(),
+    votes: {},
+    answers: {},
+    guesses: [],
+    promptHint: toPromptHint(questions[0]),
+    reveal: null
+  }),
+
+  startTurnSecrets: (room, { questions }) => ({
+    prompt: questions[0] || null
+  }),
+
+  // A turn ended before the reveal (e.g. the host moved on) still played its prompt
+  endTurn: (room, secrets) => ({
+    promptId: room.promptId || (secrets.prompt ? secrets.prompt.id : null)
+  }),
+
+  playerTexts: (room, userId) => (room.guesses || []).filter(g => g.userId === userId).map(g => g.guess),
+
+  turnStartEvents: (room, secrets) => [
+    {
+      event: 'charades_turn_started',
+      payload: {
+        actorId: room.currentPlayerTurn,
+        promptHint: room.promptHint,
+        duration: room.settings.answerSeconds,
+        endsAt: room.phaseEndsAt
+      }
+    },
+    {
+      event: 'charades_prompt',
+      to: room.currentPlayerTurn,
+      payload: {
+        prompt: secrets.prompt,
+        duration: room.settings.answerSeconds,
+        endsAt: room.phaseEndsAt
+      }
+    }
+  ],
+
+  actions: {
+    /**
+     * Actor asks for their prompt again (e.g. after reconnecting)
+     */
+    request_prompt: {
+      phases: [PHASES.ACTING],
+      role: 'turn',
+      roleError: 'play.actorOnlyPrompt',
+      handle: (room, player, payload, secrets) => ({
+        events: [{
+          event: 'charades_prompt',
+          to: player.userId,
+          payload: {
+            prompt: secrets.prompt || null,
+            duration: room.settings.answerSeconds,
+            endsAt: room.phaseEndsAt
+          }
+        }]
+      })
+    },
+
+    /**
+     * Guess what the actor is acting out
+     */
+    submit_guess: {
+      phases: [PHASES.ACTING],
+      role: 'others',
+      roleError: 'play.actorCannotGuess',
+      textFields: ['guess'],
+      handle: (room, player, { guess }, secrets) => {
+        const text = typeof guess === 'string' ? guess.trim() : '';
+        if (!text || text.length > MAX_GUESS_LENGTH) {
+          throw createError('play.guessLength', { max: MAX_GUESS_LENGTH });
+        }
+
+        const prompt = secrets.prompt;
+        if (!prompt) {
+          throw createError('play.nothingToGuess');
+        }
+
+        const correct = isCorrectGuess(text, prompt.answer);
+        const entry = {
+          userId: player.userId,
+          username: player.username,
+          guess: text,
+          correct,
+          guessedAt: new Date().toISOString()
+        };
+        const guesses = [...(room.guesses || []), entry];
+
+        if (!correct) {
+          return {
+            changes: { guesses },
+            events: [{ event: 'charades_guess', payload: entry }]
+          };
+        }
+
+        const points = {
+          [player.userId]: POINTS.FIRST_CORRECT_GUESS,
+          [room.currentPlayerTurn]: POINTS.ACTOR
+        };
+        const reveal = {
+          prompt,
+          guesserId: player.userId,
+          guesserName: player.username,
+          guessedAt: entry.guessedAt,
+          points
+        };
+
+        return {
+          changes: {
+            guesses,
+            phase: PHASES.REVEAL,
+            promptId: prompt.id,
+            reveal
+          },
+          events: [
+            { event: 'charades_guess', payload: entry },
+            { event: 'prompt_guessed', payload: reveal }
+          ],
+          points
+        };
+      }
+    }
+  },
+
+  phaseDeadlines: {
+    // Nobody got it in time - show everyone what it was
+    [PHASES.ACTING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: (room, secrets) => ({
+        changes: {
+          phase: PHASES.REVEAL,
+          promptId: secrets.prompt ? secrets.prompt.id : null,
+          reveal: { prompt: secrets.prompt || null, guesserId: null, guesserName: null, points: {} }
+        },
+        events: [{ event: 'prompt_revealed', payload: { prompt: secrets.prompt || null } }]
+      })
+    },
+    [PHASES.REVEAL]: {
+      seconds: (settings) => settings.revealSeconds
+    }
+  }
+};
@@ -0,0 +1,193 @@
+const { castVote, closeVote } = require('./questionVote');
+const { answerPoints, reactionAction } = require('./scoring');
+const { createError } = require('../i18nService');
+
+/**
+ * Classic mode - the original flow every game used
+ * Players vote on a handful of candidate questions, the player whose turn it is
+ * answers the winner, then the answer is shown to everyone before the turn
+ * rotates. Answering in time and reactions to the answer score points.
+ *
+ * When voting times out the leading question is picked; when the answer time
+ * runs out the turn is skipped as missed.
+ */
+
+const PHASES = {
+  VOTING: 'voting',
+  ANSWERING: 'answering',
+  REVEAL: 'reveal'
+};
+
+/**
+ * Move on to answering the selected question
+ */
+const selectQuestion = (room, question) => {
+  // No candidates this turn - nothing to answer
+  if (!question) {
+    return { rotate: true };
+  }
+
+  return {
+    changes: {
+      phase: PHASES.ANSWERING,
+      currentQuestion: question,
+      questionSelectedAt: room.questionSelectedAt || new Date().toISOString()
+    },
+    events: [{
+      event: 'question_selected',
+      payload: {
+        question: question,
+        countdown: room.settings.answerSeconds
+      }
+    }]
+  };
+};
+
+module.exports = {
+  id: 'classic',
+  name: 'Vote and answer',
+  phases: Object.values(PHASES),
+
+  startTurn: (room, { questions }) => ({
+    phase: PHASES.VOTING,
+    questions: questions,
+    currentQuestion: null,
+    votes: {},
+    answers: {},
+    questionSelectedAt: null,
+    reactions: {}
+  }),
+
+  actions: {
+    /**
+     * Vote for one of the candidate questions - players can change their vote
+     */
+    submit_vote: {
+      phases: [PHASES.VOTING, PHASES.ANSWERING],
+      role: 'others',
+      roleError: 'play.cannotVoteAnswering',
+      handle: (room, player, { questionId }) => {
+        const { votes, winningQuestion, event } = castVote(room, player, questionId);
+
+        if (!winningQuestion) {
+          return { changes: { votes }, events: [event] };
+        }
+
+        // Voting complete - the current player answers before the deadline
+        const selected = selectQuestion(room, winningQuestion);
+        return {
+          changes: { votes, ...selected.changes },
+          events: [event, ...selected.events]
+        };
+      }
+    },
+
+    /**
+     * Current player answers - everyone sees it, then the turn rotates
+     */
+    submit_answer: {
+      phases: [PHASES.VOTING, PHASES.ANSWERING],
+      role: 'turn',
+      roleError: 'play.notYourTurnToAnswer',
+      textFields: ['answer'],
+      handle: (room, player, { answer, questionId }) => {
+        const entry = {
+          answer: answer,
+          submittedAt: new Date().toISOString()
+        };
+        if (questionId !== undefined) {
+          entry.questionId = questionId;
+        }
+        const points = answerPoints(room, player.userId, entry.submittedAt, room.settings.answerSeconds);
+
+        return {
+          changes: {
+            phase: PHASES.REVEAL,
+            answers: { ...(room.answers || {}), [player.userId]: entry }
+          },
+          events: [
+            {
+              // Include the answer text directly for easy display
+              event: 'answer_submitted',
+              payload: {
+                userId: player.userId,
+                username: player.username,
+                answer: answer,
+                answerText: answer, // Explicit answer text for display
+                questionId: questionId,
+                playerTurn: room.currentPlayerTurn,
+                playerTurnId: room.currentPlayerTurn,
+                countdownStart: entry.submittedAt, // Timestamp for countdown start
+                points: points ? points[player.userId] : 0
+              }
+            },
+            {
+              // Countdown for viewers before the turn rotates
+              event: 'viewer_countdown_start',
+              payload: {
+                duration: room.settings.revealSeconds,
+                startTime: entry.submittedAt
+              }
+            }
+          ],
+          points
+        };
+      }
+    },
+
+    /**
+     * React to the answer while it is shown
+     */
+    send_reaction: reactionAction([PHASES.REVEAL]),
+
+    /**
+     * Share answer - simple broadcast to viewers (no automatic rotation)
+     */
+    share_answer: {
+      phases: Object.values(PHASES),
+      role: 'turn',
+      roleError: 'play.notYourTurnToAnswer',
+      textFields: ['answer'],
+      handle: (room, player, { answer }) => {
+        if (!answer) {
+          throw createError('play.answerRequired');
+        }
+
+        const entry = {
+          answer: answer,
+          submittedAt: new Date().toISOString()
+        };
+
+        return {
+          changes: {
+            answers: { ...(room.answers || {}), [player.userId]: entry }
+          },
+          events: [{
+            event: 'answer_shared',
+            payload: {
+              userId: player.userId,
+              username: player.username || 'Unknown',
+              answer: answer,
+              answerText: answer,
+              timestamp: entry.submittedAt
+            }
+          }]
+        };
+      }
+    }
+  },
+
+  phaseDeadlines: {
+    [PHASES.VOTING]: {
+      seconds: (settings) => settings.voteSeconds,
+      expire: (room) => selectQuestion(room, closeVote(room))
+    },
+    [PHASES.ANSWERING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: () => ({ rotate: true, missedTurn: true })
+    },
+    [PHASES.REVEAL]: {
+      seconds: (settings) => settings.revealSeconds
+    }
+  }
+};
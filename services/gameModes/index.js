@@ -0,0 +1,478 @@
+const { v4: uuidv4 } = require('uuid');
+const classic = require('./classic');
+const wouldYouRather = require('./wouldYouRather');
+const twoTruthsAndALie = require('./twoTruthsAndALie');
+const charades = require('./charades');
+const truthOrDare = require('./truthOrDare');
+const { DIFFICULTIES, resolveSettings } = require('./settings');
+const { pickQuestions, updateDeck } = require('./questionPicker');
+const { createError, normalizeLocale, localizeQuestion } = require('../i18nService');
+const ratingService = require('../ratingService');
+const teamService = require('../teamService');
+
+/**
+ * Game mode registry
+ *
+ * Each game plays by a mode that owns its rules. roomService and socketHandler
+ * dispatch to the mode of `room.gameMode` instead of hard-coding one flow.
+ * A mode is a plain object:
+ *
+ *   id              unique mode id, stored on games (`mode`) and rooms (`gameMode`)
+ *   name            human readable name
+ *   phases          phase names the mode moves through (stored in `room.phase`)
+ *   defaultSettings room settings this mode changes from the defaults (see
+ *                   settings.js) - hooks and actions read `room.settings`
+ *   toRoomQuestion(question)          -> the question fields copied into a room
+ *   questionFields(question)          -> the mode's own fields of a question
+ *                                        written by a player (throws when the
+ *                                        shape does not fit the mode)
+ *   selectQuestions(pool, room)       -> candidate questions for a turn (pick
+ *                                        with questionPicker so the room's
+ *                                        deck is respected)
+ *   nextDeck(room, { questions, playedQuestionId })
+ *                                     -> the room's deck once the turn starts
+ *                                        (a mode that shows only some of the
+ *                                        candidates records them when shown)
+ *   createRoomState(roomData)         -> extra room fields set when a room is
+ *                                        created (mode options, tallies...)
+ *   startTurn(room, { questions })    -> room changes that reset per-turn state
+ *   startTurnSecrets(room, { questions })
+ *                                     -> hidden state for the new turn (stored
+ *                                        outside the room, never broadcast)
+ *   turnStartEvents(room, secrets)    -> [{ event, payload, to }] emitted when a
+ *                                        turn starts (e.g. a private prompt)
+ *   endTurn(room, secrets)            -> room changes saved as the turn ends
+ *                                        (e.g. the secret prompt's `promptId`,
+ *                                        so it counts as played)
+ *   publicView(room)                  -> room as broadcast to every player
+ *                                        (strip secrets here)
+ *   playerTexts(room, userId)         -> what a player wrote this turn
+ *                                        (answers, statements...), for reports
+ *   actions         { [socketEvent]: { phases, role, roleError, textFields, handle } }
+ *   phaseDeadlines  { [phase]: { seconds(settings), expire(room, secrets) } }
+ *
+ * Action `role` is 'turn' (only the current player), 'others' (everyone except
+ * the current player) or 'any'; `roleError` is the message key (see
+ * i18nService) sent to anyone else. `textFields` names the payload fields
+ * players write freely - they go through the room's content filter before
+ * the action sees them. `handle(room, player, payload, secrets)` must be
+ * pure - it runs inside a room transaction - and returns:
+ *
+ *   changes    room fields to update
+ *   events     [{ event, payload, to }] emitted after commit; `to` is a userId
+ *              for a private emit, otherwise the whole room receives it
+ *   secrets    replacement hidden state (omit to keep the current secrets)
+ *   points     { [userId]: number } added to `room.scores` (and to the
+ *              player's team in team mode, see teamService)
+ *   afterCommit  async function run once after the room is saved (stats and
+ *              other writes outside the room); may return more events
+ *   restartDeadline  restart the phase deadline even though the phase is the
+ *              same (e.g. a new set of candidates to vote on)
+ *
+ * The server owns the phase deadlines: entering a phase listed in
+ * `phaseDeadlines` sets `room.phaseEndsAt`, and when that passes `expire` runs
+ * in a room transaction. It returns the same fields as an action, or
+ * `rotate: true` to end the turn (with `missedTurn: true` when the current
+ * player sat idle). Phases without `expire` rotate; phases without a deadline
+ * wait for the players.
+ */
+
+const DEFAULT_MODE_ID = classic.id;
+
+const ROLES = {
+  TURN: 'turn',
+  OTHERS: 'others',
+  ANY: 'any'
+};
+
+const MAX_QUESTION_LENGTH = 300;
+
+// Question fields that can carry a translation
+const TRANSLATABLE_FIELDS = ['text', 'optionA', 'optionB', 'hint', 'category'];
+
+const defaults = {
+  defaultSettings: {},
+
+  toRoomQuestion: (q) => ({
+    id: q.id || uuidv4(),
+    text: q.text,
+    difficulty: q.difficulty || 'medium'
+  }),
+
+  questionFields: () => ({}),
+
+  selectQuestions(pool, room) {
+    const { candidateCount, difficultyMix, popularityWeighting } = room.settings;
+    return pickQuestions(pool, candidateCount, difficultyMix, room.questionDeck, popularityWeighting)
+      .map(q => this.toRoomQuestion(q, room));
+  },
+
+  nextDeck: (room, { questions, playedQuestionId }) => updateDeck(room.questionDeck, questions, playedQuestionId),
+
+  createRoomState: () => ({}),
+
+  startTurnSecrets: () => ({}),
+
+  turnStartEvents: () => [],
+
+  endTurn: () => ({}),
+
+  phaseDeadlines: {},
+
+  publicView: (room) => room,
+
+  playerTexts: (room, userId) => {
+    const entry = (room.answers || {})[userId];
+    return entry && typeof entry.answer === 'string' ? [entry.answer] : [];
+  },
+
+  actions: {}
+};
+
+const modes = new Map();
+
+/**
+ * Register a game mode (missing hooks fall back to the defaults)
+ */
+const registerMode = (definition) => {
+  if (!definition.id || !Array.isArray(definition.phases) || typeof definition.startTurn !== 'function') {
+    throw new Error('Game mode needs an id, phases and a startTurn hook');
+  }
+  const mode = { ...defaults, ...definition };
+  modes.set(mode.id, mode);
+  return mode;
+};
+
+registerMode(classic);
+registerMode(wouldYouRather);
+registerMode(twoTruthsAndALie);
+registerMode(charades);
+registerMode(truthOrDare);
+
+/**
+ * Get a mode by id, falling back to the classic flow
+ */
+const getMode = (modeId) => modes.get(modeId) || modes.get(DEFAULT_MODE_ID);
+
+/**
+ * Resolve the mode id a game plays by
+ */
+const resolveModeId = (game) => (game && modes.has(game.mode) ? game.mode : DEFAULT_MODE_ID);
+
+/**
+ * Get the mode a room plays by
+ */
+const getModeForRoom = (room) => getMode(room && room.gameMode);
+
+/**
+ * A room's settings with the defaults filled in (rooms created before settings
+ * existed have none)
+ */
+const getRoomSettings = (room) => resolveSettings(getModeForRoom(room).defaultSettings, room && room.settings);
+
+/**
+ * Check a question written by a player (custom packs) against a mode and keep
+ * only the fields that mode plays with
+ */
+const toCustomQuestion = (modeId, question) => {
+  if (!question || typeof question !== 'object') {
+    throw createError('questions.notObject');
+  }
+
+  const text = typeof question.text === 'string' ? question.text.trim() : '';
+  if (!text || text.length > MAX_QUESTION_LENGTH) {
+    throw createError('questions.textLength', { max: MAX_QUESTION_LENGTH });
+  }
+
+  const difficulty = question.difficulty || 'medium';
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw createError('questions.badDifficulty', { difficulties: DIFFICULTIES.join(', ') });
+  }
+
+  const rating = question.rating || ratingService.DEFAULT_RATING;
+  if (!ratingService.isRating(rating)) {
+    throw createError('questions.badRating', { ratings: ratingService.RATING_ORDER.join(', ') });
+  }
+
+  const checked = {
+    text,
+    difficulty,
+    rating,
+    ...getMode(modeId).questionFields(question)
+  };
+  const translations = toTranslations(question.translations, checked);
+
+  return translations ? { ...checked, translations } : checked;
+};
+
+/**
+ * Check a question's translations - `{ [locale]: { text, optionA, ... } }`
+ * with only the translatable fields the question has (null when there are
+ * none)
+ */
+const toTranslations = (translations, question) => {
+  if (translations === undefined || translations === null) {
+    return null;
+  }
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    throw createError('questions.badTranslations');
+  }
+
+  const checked = {};
+  Object.entries(translations).forEach(([locale, fields]) => {
+    const normalized = normalizeLocale(locale);
+    if (!normalized || !fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw createError('questions.badTranslations');
+    }
+
+    const localized = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!TRANSLATABLE_FIELDS.includes(field) || question[field] === undefined ||
+          !text || text.length > MAX_QUESTION_LENGTH) {
+        throw createError('questions.badTranslations');
+      }
+      localized[field] = text;
+    });
+
+    if (Object.keys(localized).length > 0) {
+      checked[normalized] = localized;
+    }
+  });
+
+  return Object.keys(checked).length > 0 ? checked : null;
+};
+
+/**
+ * Room as the mode hooks see it - always with its settings
+ */
+const withSettings = (room) => ({ ...room, settings: getRoomSettings(room) });
+
+/**
+ * The most explicit rating a room may be offered - the host's setting, lowered
+ * by any active player who may not see it
+ */
+const getAllowedRating = (room) => ratingService.lowestRating(
+  getRoomSettings(room).maxRating,
+  ...((room && room.players) || []).filter(p => p && p.isActive !== false).map(p => p.maxRating)
+);
+
+/**
+ * The questions of a pool a room may be offered
+ */
+const getAllowedQuestions = (room, pool) => {
+  const maxRating = getAllowedRating(room);
+  return pool.filter(q => ratingService.isAllowed(ratingService.getRating(q), maxRating));
+};
+
+/**
+ * Room changes and secrets that start a new turn
+ * Draws the turn's candidates from the game's question pool through the
+ * room's deck, in the room's language and within its allowed rating. Runs
+ * inside the room transaction so the deck is saved with the turn.
+ */
+const startTurn = (room, pool) => {
+  const mode = getModeForRoom(room);
+  const current = withSettings(room);
+  const localized = getAllowedQuestions(current, pool).map(q => localizeQuestion(q, current.settings.language));
+  const questions = mode.selectQuestions(localized, current);
+  const playedQuestionId = getPlayedQuestionId(room);
+  const changes = mode.startTurn(current, { questions });
+
+  return {
+    changes: {
+      ...changes,
+      questionDeck: mode.nextDeck(current, { questions, playedQuestionId }),
+      previousQuestionId: playedQuestionId,
+      phaseEndsAt: getPhaseEndsAt(current, changes.phase)
+    },
+    secrets: mode.startTurnSecrets(current, { questions })
+  };
+};
+
+/**
+ * The question played in a room's turn - the selected question, or the prompt
+ * of a mode that keeps it secret once it is known (`promptId`)
+ */
+const getPlayedQuestionId = (room) => (room.currentQuestion && room.currentQuestion.id) || room.promptId || null;
+
+/**
+ * Room changes saved as a room's turn ends (before the next one starts or the
+ * game ends)
+ */
+const endTurn = (room, secrets = {}) => getModeForRoom(room).endTurn(withSettings(room), secrets);
+
+/**
+ * Events to emit when a room's turn starts
+ */
+const getTurnStartEvents = (room, secrets) => getModeForRoom(room).turnStartEvents(withSettings(room), secrets);
+
+/**
+ * When a phase entered now ends (null when the phase waits for the players)
+ */
+const getPhaseEndsAt = (room, phase) => {
+  const deadline = getModeForRoom(room).phaseDeadlines[phase];
+  if (!deadline) {
+    return null;
+  }
+  return new Date(Date.now() + deadline.seconds(getRoomSettings(room)) * 1000).toISOString();
+};
+
+/**
+ * Turn a mode result (from an action or an expired phase) into the changes to
+ * save: points go into `scores` (and `teamScores` in team mode) and a new
+ * phase gets its deadline
+ */
+const toOutcome = (room, result) => {
+  const changes = { ...(result.changes || {}) };
+
+  if (result.points) {
+    const scores = { ...(room.scores || {}) };
+    Object.entries(result.points).forEach(([playerId, points]) => {
+      scores[playerId] = (scores[playerId] || 0) + points;
+    });
+    changes.scores = scores;
+
+    const teamScores = teamService.addTeamPoints(room, result.points);
+    if (teamScores) {
+      changes.teamScores = teamScores;
+    }
+  }
+
+  if (changes.phase !== undefined && (changes.phase !== room.phase || result.restartDeadline)) {
+    changes.phaseEndsAt = getPhaseEndsAt(room, changes.phase);
+  }
+
+  return {
+    changes,
+    secrets: result.secrets,
+    events: result.events || [],
+    afterCommit: result.afterCommit || null
+  };
+};
+
+/**
+ * The free-text payload fields of a room action (see `textFields`)
+ */
+const getActionTextFields = (room, actionName) => {
+  const action = getModeForRoom(room).actions[actionName];
+  return (action && action.textFields) || [];
+};
+
+/**
+ * The text fields of a question - its translatable fields and their
+ * translations - keyed by name (for the content filter)
+ */
+const getQuestionTexts = (question) => {
+  const texts = {};
+  TRANSLATABLE_FIELDS.forEach(field => {
+    if (typeof question[field] === 'string') {
+      texts[field] = question[field];
+    }
+  });
+  Object.entries(question.translations || {}).forEach(([locale, fields]) => {
+    Object.entries(fields).forEach(([field, text]) => {
+      texts[`translations.${locale}.${field}`] = text;
+    });
+  });
+  return texts;
+};
+
+/**
+ * What a player wrote in the room's current turn (see `playerTexts`)
+ */
+const getPlayerTexts = (room, userId) => getModeForRoom(room).playerTexts(room, userId);
+
+/**
+ * All socket events handled by any registered mode
+ */
+const getActionNames = () => {
+  const names = new Set();
+  modes.forEach(mode => Object.keys(mode.actions).forEach(name => names.add(name)));
+  return Array.from(names);
+};
+
+/**
+ * Room as broadcast to every player of the room
+ */
+const toPublicRoom = (room) => (room ? getModeForRoom(room).publicView(room) : room);
+
+/**
+ * Validate and apply a player action against the room's mode
+ * Pure - returns the room changes and the events to emit after commit.
+ */
+const applyAction = (room, userId, actionName, payload = {}, secrets = {}) => {
+  const mode = getModeForRoom(room);
+  const action = mode.actions[actionName];
+
+  if (!action) {
+    throw createError('play.actionUnavailable', { game: room.gameName || mode.name });
+  }
+
+  if (room.status !== 'active') {
+    throw createError(room.status === 'paused' ? 'rooms.paused' : 'rooms.notActive');
+  }
+
+  const player = (room.players || []).find(p => p && p.userId === userId && p.isActive !== false);
+  if (!player) {
+    const isSpectator = (room.spectators || []).some(s => s.userId === userId);
+    throw createError(isSpectator ? 'rooms.spectatorCannotPlay' : 'rooms.notMember');
+  }
+
+  if (action.phases && !action.phases.includes(room.phase || mode.phases[0])) {
+    throw createError('play.wrongPhase', { phase: room.phase });
+  }
+
+  const isTurn = room.currentPlayerTurn === userId;
+  if ((action.role === ROLES.TURN && !isTurn) || (action.role === ROLES.OTHERS && isTurn)) {
+    throw createError(action.roleError || 'play.notNow');
+  }
+
+  const result = action.handle(withSettings(room), player, payload || {}, secrets) || {};
+  const outcome = toOutcome(room, result);
+
+  // Acting again clears a player's run of missed turns
+  if ((room.missedTurns || {})[userId]) {
+    outcome.changes.missedTurns = { ...room.missedTurns, [userId]: 0 };
+  }
+
+  return outcome;
+};
+
+/**
+ * Apply the room's mode rules when the current phase deadline has passed
+ * Pure - like applyAction, plus `rotate` and `missedTurn` when the turn ends.
+ */
+const expirePhase = (room, secrets = {}) => {
+  const deadline = getModeForRoom(room).phaseDeadlines[room.phase];
+  const result = (deadline && deadline.expire && deadline.expire(withSettings(room), secrets)) || { rotate: true };
+
+  return {
+    ...toOutcome(room, result),
+    rotate: result.rotate === true,
+    missedTurn: result.missedTurn === true
+  };
+};
+
+module.exports = {
+  ROLES,
+  registerMode,
+  getMode,
+  getModeForRoom,
+  resolveModeId,
+  getRoomSettings,
+  getAllowedRating,
+  getAllowedQuestions,
+  toCustomQuestion,
+  startTurn,
+  endTurn,
+  getPlayedQuestionId,
+  getTurnStartEvents,
+  getActionNames,
+  getActionTextFields,
+  getQuestionTexts,
+  getPlayerTexts,
+  toPublicRoom,
+  applyAction,
+  expirePhase
+};
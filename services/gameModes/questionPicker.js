@@ -0,0 +1,156 @@
+/**
+ * Pick a turn's candidate questions from a game's pool
+ *
+ * Each room keeps a deck (`room.questionDeck`) of the question IDs it has
+ * offered and played. Candidates come from the questions not offered yet;
+ * only when those run out is the deck reshuffled, and then questions that
+ * were offered but never played come back before the ones already played.
+ * The room's difficulty mix is followed when it has one.
+ *
+ * With popularity weighting, popular questions (`question.popularity`, see
+ * questionStatsService) tend to be drawn sooner within each pass through the
+ * deck. Questions without a popularity yet weigh the most, and even the least
+ * popular keep an EXPLORATION share, so every question still gets shown.
+ */
+
+const EMPTY_DECK = { offered: [], played: [], reshuffles: 0 };
+
+// Lowest draw weight of a question, however unpopular (the most popular weigh 1)
+const EXPLORATION = 0.2;
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Shuffle where heavier items tend to come first (Efraimidis-Spirakis)
+ */
+const weightedShuffle = (items, weightOf) => items
+  .map(item => ({ item, key: Math.pow(Math.random(), 1 / weightOf(item)) }))
+  .sort((a, b) => b.key - a.key)
+  .map(({ item }) => item);
+
+/**
+ * Draw weight of a question - its popularity above the exploration floor, or
+ * the most for questions without a popularity yet
+ */
+const questionWeight = (question) => (typeof question.popularity === 'number'
+  ? EXPLORATION + (1 - EXPLORATION) * question.popularity
+  : 1);
+
+/**
+ * Pick a key with probability proportional to its weight
+ */
+const pickWeighted = (weights) => {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  let roll = Math.random() * total;
+  for (const [key, weight] of Object.entries(weights)) {
+    roll -= weight;
+    if (roll < 0) {
+      return key;
+    }
+  }
+  return Object.keys(weights)[0];
+};
+
+/**
+ * Take `count` questions from an already shuffled list
+ * With a difficulty mix, each slot draws a difficulty by weight among those
+ * with questions left; once the weighted difficulties run out the rest of the
+ * list fills the remaining slots.
+ */
+const takeQuestions = (shuffled, count, difficultyMix) => {
+  if (!difficultyMix) {
+    return shuffled.slice(0, count);
+  }
+
+  const remaining = [...shuffled];
+  const picked = [];
+
+  while (picked.length < count && remaining.length > 0) {
+    const weights = {};
+    Object.entries(difficultyMix).forEach(([difficulty, weight]) => {
+      if (weight > 0 && remaining.some(q => (q.difficulty || 'medium') === difficulty)) {
+        weights[difficulty] = weight;
+      }
+    });
+
+    const difficulty = Object.keys(weights).length > 0 ? pickWeighted(weights) : null;
+    const index = difficulty
+      ? remaining.findIndex(q => (q.difficulty || 'medium') === difficulty)
+      : 0;
+
+    picked.push(remaining.splice(index, 1)[0]);
+  }
+
+  return picked;
+};
+
+/**
+ * Pick `count` questions, drawing from the room's deck without replacement
+ * (popular ones sooner when `weighted`)
+ */
+const pickQuestions = (pool, count, difficultyMix = null, deck = EMPTY_DECK, weighted = false) => {
+  const offered = new Set(deck.offered || []);
+  const played = new Set(deck.played || []);
+  const order = (questions) => (weighted ? weightedShuffle(questions, questionWeight) : shuffle(questions));
+
+  const fresh = pool.filter(q => !offered.has(q.id));
+  const picked = takeQuestions(order(fresh), count, difficultyMix);
+
+  if (picked.length >= count) {
+    return picked;
+  }
+
+  // Deck ran out - top up from the reshuffled questions, unplayed ones first
+  const used = pool.filter(q => offered.has(q.id));
+  const reshuffled = [
+    ...order(used.filter(q => !played.has(q.id))),
+    ...order(used.filter(q => played.has(q.id)))
+  ];
+  return [...picked, ...takeQuestions(reshuffled, count - picked.length, difficultyMix)];
+};
+
+/**
+ * The room's deck after a turn's candidates were drawn
+ * Drawing a question that had already been offered means the deck was
+ * reshuffled, so a new cycle starts with this turn's candidates.
+ */
+const updateDeck = (deck = EMPTY_DECK, questions, playedQuestionId = null) => {
+  const offered = deck.offered || [];
+  const played = playedQuestionId && !(deck.played || []).includes(playedQuestionId)
+    ? [...(deck.played || []), playedQuestionId]
+    : (deck.played || []);
+  const drawnIds = questions.map(q => q.id);
+
+  if (drawnIds.some(id => offered.includes(id))) {
+    return {
+      offered: drawnIds,
+      played: [],
+      reshuffles: (deck.reshuffles || 0) + 1
+    };
+  }
+
+  return {
+    offered: [...offered, ...drawnIds],
+    played,
+    reshuffles: deck.reshuffles || 0
+  };
+};
+
+module.exports = {
+  EMPTY_DECK,
+  EXPLORATION,
+  shuffle,
+  weightedShuffle,
+  pickQuestions,
+  updateDeck
+};
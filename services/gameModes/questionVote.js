@@ -0,0 +1,92 @@
+const { createError } = require('../i18nService');
+
+/**
+ * Candidate question voting shared by the modes that start a turn with a vote
+ * on a few candidate questions.
+ */
+
+/**
+ * Count votes per question
+ */
+const countVotes = (votes) => {
+  const voteCounts = {};
+  Object.keys(votes).forEach(qId => {
+    voteCounts[qId] = votes[qId].length;
+  });
+  return voteCounts;
+};
+
+/**
+ * Pick the question with the most votes (first one wins ties)
+ */
+const findWinningQuestion = (room, voteCounts) => {
+  let maxVotes = 0;
+  let winningQuestionId = null;
+  Object.entries(voteCounts).forEach(([qId, count]) => {
+    if (count > maxVotes) {
+      maxVotes = count;
+      winningQuestionId = qId;
+    }
+  });
+  return (winningQuestionId && (room.questions || []).find(q => q.id === winningQuestionId)) || null;
+};
+
+/**
+ * Record a player's vote and work out whether voting is complete
+ * Players can change their vote - any earlier vote is replaced. Everyone
+ * active except the current player votes.
+ */
+const castVote = (room, player, questionId) => {
+  if (!(room.questions || []).some(q => q.id === questionId)) {
+    throw createError('play.notCandidate');
+  }
+
+  const votes = {};
+  Object.entries(room.votes || {}).forEach(([qId, questionVotes]) => {
+    // Remove existing vote from this user (they can change their vote)
+    votes[qId] = questionVotes.filter(v => v.userId !== player.userId);
+  });
+
+  votes[questionId] = [...(votes[questionId] || []), {
+    userId: player.userId,
+    username: player.username,
+    votedAt: new Date().toISOString()
+  }];
+
+  const voteCounts = countVotes(votes);
+  const votingPlayers = room.players.filter(p => p.isActive !== false && p.userId !== room.currentPlayerTurn);
+  const totalVotes = Object.values(votes).reduce((sum, voteArray) => sum + voteArray.length, 0);
+  const votingComplete = totalVotes >= votingPlayers.length;
+
+  // Determine winning question if voting is complete
+  const winningQuestion = votingComplete ? findWinningQuestion(room, voteCounts) : null;
+
+  return {
+    votes,
+    voteCounts,
+    votingComplete,
+    winningQuestion,
+    event: {
+      event: 'vote_update',
+      payload: {
+        voteCounts: voteCounts,
+        votes: votes,
+        votingComplete: votingComplete,
+        winningQuestion: winningQuestion
+      }
+    }
+  };
+};
+
+/**
+ * Close voting when its time is up - the leading question wins, or the first
+ * candidate when nobody voted
+ */
+const closeVote = (room) => findWinningQuestion(room, countVotes(room.votes || {})) || (room.questions || [])[0] || null;
+
+module.exports = {
+  countVotes,
+  findWinningQuestion,
+  castVote,
+  closeVote
+};
@@ -0,0 +1,80 @@
+const { createError } = require('../i18nService');
+
+/**
+ * Point rules shared by the modes where the current player answers a question
+ * everyone can then react to (classic, Truth or Dare). Guessing modes score
+ * correct guesses in their own actions.
+ */
+
+const POINTS = {
+  ANSWERED_ON_TIME: 2,
+  REACTION_RECEIVED: 1
+};
+
+const REACTIONS = ['clap', 'laugh', 'wow', 'love', 'fire'];
+
+/**
+ * Points for an answer submitted within the answer time of the selected question
+ */
+const answerPoints = (room, userId, submittedAt, answerSeconds) => {
+  if (!room.questionSelectedAt) {
+    return null;
+  }
+
+  const elapsed = new Date(submittedAt) - new Date(room.questionSelectedAt);
+  return elapsed <= answerSeconds * 1000
+    ? { [userId]: POINTS.ANSWERED_ON_TIME }
+    : null;
+};
+
+/**
+ * React to the current player's answer - the answerer scores once per player
+ * reacting, changing a reaction does not score again
+ */
+const reactionAction = (phases) => ({
+  phases,
+  role: 'others',
+  roleError: 'play.cannotReactOwn',
+  handle: (room, player, { reaction }) => {
+    if (!REACTIONS.includes(reaction)) {
+      throw createError('play.badReaction', { reactions: REACTIONS.join(', ') });
+    }
+
+    const isFirstReaction = !(room.reactions || {})[player.userId];
+    const reactions = {
+      ...(room.reactions || {}),
+      [player.userId]: {
+        reaction,
+        username: player.username,
+        reactedAt: new Date().toISOString()
+      }
+    };
+
+    const counts = {};
+    Object.values(reactions).forEach(r => {
+      counts[r.reaction] = (counts[r.reaction] || 0) + 1;
+    });
+
+    return {
+      changes: { reactions },
+      events: [{
+        event: 'reaction_received',
+        payload: {
+          userId: player.userId,
+          username: player.username,
+          reaction,
+          answererId: room.currentPlayerTurn,
+          counts
+        }
+      }],
+      points: isFirstReaction ? { [room.currentPlayerTurn]: POINTS.REACTION_RECEIVED } : null
+    };
+  }
+});
+
+module.exports = {
+  POINTS,
+  REACTIONS,
+  answerPoints,
+  reactionAction
+};
@@ -0,0 +1,105 @@
+const { DEFAULT_LOCALE, normalizeLocale } = require('../i18nService');
+const { DEFAULT_ROOM_RATING, isRating } = require('../ratingService');
+const { FILTER_MODES, DEFAULT_FILTER_MODE } = require('../contentFilterService');
+
+/**
+ * Room settings
+ * Chosen by the host when creating the room (and editable until the game
+ * starts, LIVE_SETTINGS at any time). Modes can override the defaults with
+ * their own `defaultSettings`, e.g. Charades gives the actor longer than the
+ * usual answer time.
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const DEFAULT_SETTINGS = {
+  rounds: 10, // the game ends after this many turns
+  voteSeconds: 30, // time to vote on the candidate questions
+  answerSeconds: 60, // time to answer (or choose, or act) once the turn's question is set
+  revealSeconds: 20, // time everyone sees the result before the turn rotates
+  candidateCount: 3, // questions offered per turn
+  difficultyMix: null, // relative weights per difficulty, e.g. { easy: 2, medium: 1, hard: 0 }
+  maxMissedTurns: 3, // idle turns in a row before a player is marked inactive
+  language: DEFAULT_LOCALE, // language questions are sent in (see i18nService.localizeQuestion)
+  maxRating: DEFAULT_ROOM_RATING, // most explicit content rating offered (see ratingService)
+  profanityFilter: DEFAULT_FILTER_MODE, // mask, reject or flag listed words in answers (see contentFilterService)
+  popularityWeighting: true, // offer well-liked questions sooner (see questionPicker)
+  allowSpectators: true // let non-players watch the room (see roomService.spectateRoom)
+};
+
+// Settings the host can still change once the game has started
+const LIVE_SETTINGS = ['allowSpectators'];
+
+// Bounds enforced by the room routes
+const LIMITS = {
+  rounds: { min: 1, max: 50 },
+  voteSeconds: { min: 5, max: 120 },
+  answerSeconds: { min: 10, max: 300 },
+  revealSeconds: { min: 3, max: 120 },
+  candidateCount: { min: 1, max: 6 },
+  difficultyWeight: { min: 0, max: 10 },
+  maxMissedTurns: { min: 1, max: 10 }
+};
+
+/**
+ * Keep only the difficulty weights we know about - null when there is no
+ * preference
+ */
+const toDifficultyMix = (mix) => {
+  if (!mix || typeof mix !== 'object') {
+    return null;
+  }
+
+  const weights = {};
+  DIFFICULTIES.forEach(difficulty => {
+    weights[difficulty] = parseInt(mix[difficulty], 10) || 0;
+  });
+  return Object.values(weights).some(weight => weight > 0) ? weights : null;
+};
+
+/**
+ * Merge a room's settings over the defaults (global, then the mode's own)
+ * Only known settings are kept.
+ */
+const resolveSettings = (modeDefaults = {}, settings = {}) => {
+  const resolved = { ...DEFAULT_SETTINGS, ...modeDefaults };
+
+  ['rounds', 'voteSeconds', 'answerSeconds', 'revealSeconds', 'candidateCount', 'maxMissedTurns'].forEach(key => {
+    const value = parseInt(settings[key], 10);
+    if (Number.isInteger(value)) {
+      resolved[key] = value;
+    }
+  });
+
+  if (settings.difficultyMix !== undefined) {
+    resolved.difficultyMix = toDifficultyMix(settings.difficultyMix);
+  }
+
+  if (normalizeLocale(settings.language)) {
+    resolved.language = normalizeLocale(settings.language);
+  }
+
+  if (isRating(settings.maxRating)) {
+    resolved.maxRating = settings.maxRating;
+  }
+
+  if (Object.values(FILTER_MODES).includes(settings.profanityFilter)) {
+    resolved.profanityFilter = settings.profanityFilter;
+  }
+
+  ['popularityWeighting', 'allowSpectators'].forEach(key => {
+    if (typeof settings[key] === 'boolean') {
+      resolved[key] = settings[key];
+    }
+  });
+
+  return resolved;
+};
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_SETTINGS,
+  LIVE_SETTINGS,
+  LIMITS,
+  resolveSettings
+};
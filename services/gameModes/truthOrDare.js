@@ -0,0 +1,313 @@
+const { v4: uuidv4 } = require('uuid');
+const { castVote, closeVote } = require('./questionVote');
+const classic = require('./classic');
+const { reactionAction } = require('./scoring');
+const { EMPTY_DECK, pickQuestions, updateDeck } = require('./questionPicker');
+const { createError } = require('../i18nService');
+
+/**
+ * Truth or Dare mode
+ * The player whose turn it is picks truth or dare, the others vote on
+ * candidates of that type only, then the player answers (or does the dare).
+ * Chickening out of a truth forces a dare, and costs points if the room says
+ * so. Choices and chicken-outs are tracked per player on the room so the host
+ * can see who keeps dodging.
+ *
+ * Each type has its own deck (`questionDeck.truth`, `questionDeck.dare`), and
+ * candidates only count as offered once their type is shown to the voters, so
+ * one type running out does not reshuffle the other.
+ *
+ * A player who does not choose, or does not answer, in time misses the turn.
+ */
+
+const PHASES = {
+  CHOOSING: 'choosing',
+  VOTING: 'voting',
+  ANSWERING: 'answering',
+  REVEAL: 'reveal'
+};
+
+const TYPES = ['truth', 'dare'];
+
+const DEFAULT_CHICKEN_OUT_PENALTY = {
+  forceDare: true, // refusing a truth means taking a dare instead
+  points: 1 // points lost every time a player chickens out
+};
+
+const MAX_PENALTY_POINTS = 10;
+
+/**
+ * Build the room's chicken-out penalty from the host's settings
+ */
+const toChickenOutPenalty = (settings = {}) => {
+  const points = Number(settings.points);
+  return {
+    forceDare: typeof settings.forceDare === 'boolean'
+      ? settings.forceDare
+      : DEFAULT_CHICKEN_OUT_PENALTY.forceDare,
+    points: Number.isInteger(points) && points >= 0 && points <= MAX_PENALTY_POINTS
+      ? points
+      : DEFAULT_CHICKEN_OUT_PENALTY.points
+  };
+};
+
+/**
+ * Add to a player's truth/dare/chicken-out tally
+ */
+const tally = (room, player, field) => {
+  const stats = room.truthOrDareStats || {};
+  const current = stats[player.userId] || { username: player.username, truths: 0, dares: 0, chickenOuts: 0 };
+  return {
+    ...stats,
+    [player.userId]: { ...current, [field]: current[field] + 1 }
+  };
+};
+
+/**
+ * The room's deck of one type
+ */
+const getTypeDeck = (room, type) => (room.questionDeck && room.questionDeck[type]) || EMPTY_DECK;
+
+/**
+ * The turn's drawn candidates of one type
+ */
+const getCandidates = (secrets, type) => (secrets.candidates || []).filter(q => q.type === type);
+
+/**
+ * Offer the candidates of one type to the voters - only now do they count as
+ * offered in that type's deck
+ */
+const offerCandidates = (room, type, secrets) => {
+  const questions = getCandidates(secrets, type);
+  if (questions.length === 0) {
+    throw createError('play.noQuestionsOfType', { type });
+  }
+
+  return {
+    phase: PHASES.VOTING,
+    choice: type,
+    questions,
+    currentQuestion: null,
+    questionSelectedAt: null,
+    votes: {},
+    questionDeck: {
+      ...(room.questionDeck || {}),
+      [type]: updateDeck(getTypeDeck(room, type), questions)
+    }
+  };
+};
+
+/**
+ * Move on to answering the truth or dare the voters picked
+ */
+const selectQuestion = (room, question) => {
+  if (!question) {
+    return { rotate: true };
+  }
+
+  return {
+    changes: {
+      phase: PHASES.ANSWERING,
+      currentQuestion: question,
+      questionSelectedAt: new Date().toISOString()
+    },
+    events: [{
+      event: 'question_selected',
+      payload: {
+        question: question,
+        countdown: room.settings.answerSeconds
+      }
+    }]
+  };
+};
+
+module.exports = {
+  id: 'truth-or-dare',
+  name: 'Truth or Dare',
+  phases: Object.values(PHASES),
+
+  toRoomQuestion: (q) => ({
+    id: q.id || uuidv4(),
+    type: q.type,
+    text: q.text,
+    difficulty: q.difficulty || 'medium'
+  }),
+
+  questionFields: (q) => {
+    if (!TYPES.includes(q.type)) {
+      throw createError('questions.todType', { types: TYPES.join(' or ') });
+    }
+    return { type: q.type };
+  },
+
+  // Candidates of both types are drawn up front; only the chosen type is shown
+  selectQuestions(pool, room) {
+    const { candidateCount, difficultyMix, popularityWeighting } = room.settings;
+    return TYPES.flatMap(type => pickQuestions(
+      pool.filter(q => q.type === type), candidateCount, difficultyMix, getTypeDeck(room, type), popularityWeighting
+    ).map(q => this.toRoomQuestion(q, room)));
+  },
+
+  // Nothing is shown yet - only the last turn's truth or dare counts as played
+  nextDeck: (room, { playedQuestionId }) => {
+    const type = room.currentQuestion && room.currentQuestion.type;
+    if (!TYPES.includes(type)) {
+      return room.questionDeck || {};
+    }
+    return {
+      ...(room.questionDeck || {}),
+      [type]: updateDeck(getTypeDeck(room, type), [], playedQuestionId)
+    };
+  },
+
+  createRoomState: (roomData) => ({
+    chickenOutPenalty: toChickenOutPenalty(roomData.chickenOutPenalty),
+    truthOrDareStats: {}
+  }),
+
+  startTurn: () => ({
+    phase: PHASES.CHOOSING,
+    choice: null,
+    forcedDare: false,
+    questions: [],
+    currentQuestion: null,
+    votes: {},
+    answers: {},
+    questionSelectedAt: null,
+    reactions: {}
+  }),
+
+  startTurnSecrets: (room, { questions }) => ({
+    candidates: questions
+  }),
+
+  actions: {
+    /**
+     * Current player picks truth or dare
+     */
+    choose_truth_or_dare: {
+      phases: [PHASES.CHOOSING],
+      role: 'turn',
+      roleError: 'play.notYourTurnToChoose',
+      handle: (room, player, { choice }, secrets) => {
+        const type = typeof choice === 'string' ? choice.trim().toLowerCase() : null;
+        if (!TYPES.includes(type)) {
+          throw createError('play.badTruthOrDare');
+        }
+
+        const changes = {
+          ...offerCandidates(room, type, secrets),
+          truthOrDareStats: tally(room, player, type === 'truth' ? 'truths' : 'dares')
+        };
+
+        return {
+          changes,
+          events: [{
+            event: 'truth_or_dare_chosen',
+            payload: {
+              userId: player.userId,
+              username: player.username,
+              choice: type,
+              questions: changes.questions
+            }
+          }]
+        };
+      }
+    },
+
+    /**
+     * Vote for the truth or dare the current player gets
+     */
+    submit_vote: {
+      phases: [PHASES.VOTING],
+      role: 'others',
+      roleError: 'play.cannotVoteOwnTurn',
+      handle: (room, player, { questionId }) => {
+        const { votes, winningQuestion, event } = castVote(room, player, questionId);
+
+        if (!winningQuestion) {
+          return { changes: { votes }, events: [event] };
+        }
+
+        const selected = selectQuestion(room, winningQuestion);
+        return {
+          changes: { votes, ...selected.changes },
+          events: [event, ...selected.events]
+        };
+      }
+    },
+
+    /**
+     * Current player answers the truth (or confirms the dare is done)
+     */
+    submit_answer: {
+      ...classic.actions.submit_answer,
+      phases: [PHASES.ANSWERING]
+    },
+
+    /**
+     * React to the answer (or the dare) while it is shown
+     */
+    send_reaction: reactionAction([PHASES.REVEAL]),
+
+    /**
+     * Current player refuses - a refused truth becomes a dare when the room's
+     * penalty says so (and there are dares to offer), otherwise the turn just
+     * ends
+     */
+    chicken_out: {
+      phases: [PHASES.VOTING, PHASES.ANSWERING],
+      role: 'turn',
+      roleError: 'play.notYourTurn',
+      handle: (room, player, payload, secrets) => {
+        const penalty = room.chickenOutPenalty || DEFAULT_CHICKEN_OUT_PENALTY;
+        const forceDare = penalty.forceDare && room.choice === 'truth' && getCandidates(secrets, 'dare').length > 0;
+        const points = penalty.points ? { [player.userId]: -penalty.points } : null;
+
+        const changes = {
+          truthOrDareStats: tally(room, player, 'chickenOuts'),
+          ...(forceDare
+            ? { ...offerCandidates(room, 'dare', secrets), forcedDare: true }
+            : { phase: PHASES.REVEAL })
+        };
+
+        return {
+          changes,
+          events: [{
+            event: 'player_chickened_out',
+            payload: {
+              userId: player.userId,
+              username: player.username,
+              refused: room.choice,
+              pointsLost: penalty.points,
+              forcedDare: forceDare,
+              questions: forceDare ? changes.questions : [],
+              stats: changes.truthOrDareStats[player.userId]
+            }
+          }],
+          points,
+          // A forced dare gets a fresh vote
+          restartDeadline: forceDare
+        };
+      }
+    }
+  },
+
+  phaseDeadlines: {
+    [PHASES.CHOOSING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: () => ({ rotate: true, missedTurn: true })
+    },
+    [PHASES.VOTING]: {
+      seconds: (settings) => settings.voteSeconds,
+      expire: (room) => selectQuestion(room, closeVote(room))
+    },
+    [PHASES.ANSWERING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: () => ({ rotate: true, missedTurn: true })
+    },
+    [PHASES.REVEAL]: {
+      seconds: (settings) => settings.revealSeconds
+    }
+  }
+};
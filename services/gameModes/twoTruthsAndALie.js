@@ -0,0 +1,236 @@
+const { createError } = require('../i18nService');
+
+/**
+ * Two Truths and a Lie mode
+ * The player whose turn it is writes three statements and privately marks the
+ * lie. Everyone else guesses which one is the lie, then the lie is revealed:
+ * correct guessers score, and the author scores for every player fooled.
+ *
+ * The lie lives in the room secrets until the reveal, so it never reaches
+ * room_state, REST responses or any broadcast before then.
+ *
+ * An author who never writes their statements misses the turn; when guessing
+ * times out the lie is revealed with the guesses made so far.
+ */
+
+const PHASES = {
+  WRITING: 'writing',
+  GUESSING: 'guessing',
+  REVEAL: 'reveal'
+};
+
+const STATEMENT_COUNT = 3;
+const MAX_STATEMENT_LENGTH = 200;
+
+const POINTS = {
+  CORRECT_GUESS: 2,
+  PER_PLAYER_FOOLED: 1
+};
+
+/**
+ * Validate a statement index sent by a client
+ */
+const parseStatementIndex = (value) => {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || index >= STATEMENT_COUNT) {
+    throw createError('play.badStatementIndex', { max: STATEMENT_COUNT - 1 });
+  }
+  return index;
+};
+
+/**
+ * Reveal the lie and score the turn
+ */
+const revealLie = (room, guesses, lieIndex) => {
+  const correctGuessers = Object.entries(guesses)
+    .filter(([, guess]) => guess.statementIndex === lieIndex)
+    .map(([userId]) => userId);
+  const fooledCount = Object.keys(guesses).length - correctGuessers.length;
+
+  const points = {};
+  correctGuessers.forEach(userId => {
+    points[userId] = POINTS.CORRECT_GUESS;
+  });
+  if (fooledCount > 0) {
+    points[room.currentPlayerTurn] = fooledCount * POINTS.PER_PLAYER_FOOLED;
+  }
+
+  const reveal = {
+    lieIndex,
+    correctGuessers,
+    fooledCount,
+    points,
+    revealedAt: new Date().toISOString()
+  };
+
+  return {
+    changes: {
+      guesses,
+      phase: PHASES.REVEAL,
+      reveal
+    },
+    events: [{
+      event: 'lie_revealed',
+      payload: {
+        authorId: room.currentPlayerTurn,
+        statements: room.statements,
+        guesses,
+        ...reveal
+      }
+    }],
+    points
+  };
+};
+
+module.exports = {
+  id: 'two-truths-and-a-lie',
+  name: 'Two Truths and a Lie',
+  phases: Object.values(PHASES),
+
+  // The game's questions are example templates shown as inspiration
+  toRoomQuestion: (q) => ({
+    id: q.id,
+    text: q.text,
+    hint: q.hint || '',
+    difficulty: q.difficulty || 'medium'
+  }),
+
+  questionFields: (q) => {
+    const hint = typeof q.hint === 'string' ? q.hint.trim() : '';
+    if (hint.length > MAX_STATEMENT_LENGTH) {
+      throw createError('questions.hintLength', { max: MAX_STATEMENT_LENGTH });
+    }
+    return hint ? { hint } : {};
+  },
+
+  startTurn: (room, { questions }) => ({
+    phase: PHASES.WRITING,
+    questions: questions,
+    currentQuestion: null,
+    votes: {},
+    answers: {},
+    statements: [],
+    guesses: {},
+    reveal: null
+  }),
+
+  // Only the author writes - their statements
+  playerTexts: (room, userId) => (userId === room.currentPlayerTurn ? (room.statements || []).map(s => s.text) : []),
+
+  actions: {
+    /**
+     * Current player submits three statements and marks the lie
+     */
+    submit_statements: {
+      phases: [PHASES.WRITING],
+      role: 'turn',
+      roleError: 'play.notYourTurnToWrite',
+      textFields: ['statements'],
+      handle: (room, player, { statements, lieIndex }) => {
+        if (!Array.isArray(statements) || statements.length !== STATEMENT_COUNT) {
+          throw createError('play.statementCount', { count: STATEMENT_COUNT });
+        }
+
+        const texts = statements.map(s => (typeof s === 'string' ? s.trim() : ''));
+        if (texts.some(text => !text || text.length > MAX_STATEMENT_LENGTH)) {
+          throw createError('play.statementLength', { max: MAX_STATEMENT_LENGTH });
+        }
+        if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+          throw createError('play.statementsDistinct');
+        }
+
+        const publicStatements = texts.map((text, index) => ({ index, text }));
+
+        return {
+          changes: {
+            phase: PHASES.GUESSING,
+            statements: publicStatements,
+            guesses: {}
+          },
+          secrets: { lieIndex: parseStatementIndex(lieIndex) },
+          events: [{
+            event: 'statements_submitted',
+            payload: {
+              authorId: player.userId,
+              username: player.username,
+              statements: publicStatements
+            }
+          }]
+        };
+      }
+    },
+
+    /**
+     * Guess which statement is the lie - guesses can change until everyone is in
+     */
+    submit_guess: {
+      phases: [PHASES.GUESSING],
+      role: 'others',
+      roleError: 'play.cannotGuessOwn',
+      handle: (room, player, { statementIndex }, secrets) => {
+        const guesses = {
+          ...(room.guesses || {}),
+          [player.userId]: {
+            statementIndex: parseStatementIndex(statementIndex),
+            username: player.username,
+            guessedAt: new Date().toISOString()
+          }
+        };
+
+        const guessers = room.players.filter(p => p.isActive !== false && p.userId !== room.currentPlayerTurn);
+        if (guessers.every(p => guesses[p.userId])) {
+          return revealLie(room, guesses, secrets.lieIndex);
+        }
+
+        // Only say who has guessed - showing picks would sway the others
+        return {
+          changes: { guesses },
+          events: [{
+            event: 'guess_update',
+            payload: {
+              guessedUserIds: Object.keys(guesses),
+              guessCount: Object.keys(guesses).length,
+              totalGuessers: guessers.length
+            }
+          }]
+        };
+      }
+    },
+
+    /**
+     * Author reveals the lie without waiting for the remaining guesses
+     */
+    reveal_lie: {
+      phases: [PHASES.GUESSING],
+      role: 'turn',
+      roleError: 'play.authorOnlyReveal',
+      handle: (room, player, payload, secrets) => revealLie(room, room.guesses || {}, secrets.lieIndex)
+    }
+  },
+
+  phaseDeadlines: {
+    [PHASES.WRITING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: () => ({ rotate: true, missedTurn: true })
+    },
+    [PHASES.GUESSING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: (room, secrets) => revealLie(room, room.guesses || {}, secrets.lieIndex)
+    },
+    [PHASES.REVEAL]: {
+      seconds: (settings) => settings.revealSeconds
+    }
+  },
+
+  // Picks stay hidden until the reveal - only who has guessed is public
+  publicView: (room) => {
+    if (room.phase !== PHASES.GUESSING || !room.guesses) {
+      return room;
+    }
+    const guesses = {};
+    Object.entries(room.guesses).forEach(([userId, guess]) => {
+      guesses[userId] = { username: guess.username, guessedAt: guess.guessedAt };
+    });
+    return { ...room, guesses };
+  }
+};
@@ -0,0 +1,244 @@
+const { v4: uuidv4 } = require('uuid');
+const { castVote, closeVote } = require('./questionVote');
+const questionStatsService = require('../questionStatsService');
+const { createError } = require('../i18nService');
+
+/**
+ * Would You Rather mode
+ * Players vote on the candidate questions, then everyone picks option A or B
+ * of the winner. The split is broadcast live as choices come in, the round
+ * result is stored on the room and the choices feed the question's global
+ * stats ("62% of players chose Fly"). Players who sided with the majority
+ * score; a tie scores nobody.
+ *
+ * When choosing times out the round closes with the choices made so far.
+ */
+
+const PHASES = {
+  VOTING: 'voting',
+  CHOOSING: 'choosing',
+  REVEAL: 'reveal'
+};
+
+const OPTIONS = ['A', 'B'];
+
+const MAX_OPTION_LENGTH = 100;
+
+const POINTS = {
+  SIDED_WITH_MAJORITY: 1
+};
+
+/**
+ * Count choices per option and work out the split
+ */
+const summarizeChoices = (choices) => {
+  const counts = { A: 0, B: 0 };
+  Object.values(choices).forEach(({ choice }) => {
+    counts[choice] += 1;
+  });
+  return { counts, ...questionStatsService.toPercentages(counts) };
+};
+
+/**
+ * The option most players chose (null on a tie or when nobody chose)
+ */
+const getMajority = (counts) => {
+  if (counts.A === counts.B) {
+    return null;
+  }
+  return counts.A > counts.B ? 'A' : 'B';
+};
+
+/**
+ * Move on to choosing between the options of the selected question
+ */
+const selectQuestion = (room, question) => {
+  // No candidates this turn - nothing to choose
+  if (!question) {
+    return { rotate: true };
+  }
+
+  return {
+    changes: { phase: PHASES.CHOOSING, currentQuestion: question },
+    events: [{
+      event: 'question_selected',
+      payload: {
+        question: question,
+        countdown: room.settings.answerSeconds
+      }
+    }]
+  };
+};
+
+/**
+ * Close the round - score the majority, store the result and add it to the
+ * question's stats
+ */
+const finishRound = (room, choices) => {
+  const question = room.currentQuestion;
+  const { counts, total, percentages } = summarizeChoices(choices);
+  const majority = getMajority(counts);
+
+  const points = {};
+  Object.entries(choices).forEach(([userId, { choice }]) => {
+    if (choice === majority) {
+      points[userId] = POINTS.SIDED_WITH_MAJORITY;
+    }
+  });
+
+  const result = {
+    round: room.round || 1,
+    questionId: question.id,
+    text: question.text,
+    optionA: question.optionA,
+    optionB: question.optionB,
+    counts,
+    percentages,
+    total,
+    choices,
+    majority,
+    points,
+    completedAt: new Date().toISOString()
+  };
+
+  return {
+    changes: {
+      choices,
+      phase: PHASES.REVEAL,
+      roundResults: [...(room.roundResults || []), result]
+    },
+    events: [{ event: 'round_result', payload: { result } }],
+    points,
+    // Add the round to the question's stats across all rooms
+    afterCommit: total === 0 ? null : async () => {
+      const stats = await questionStatsService.recordOptionChoices(room.gameId, question.id, counts);
+      return [{
+        event: 'question_stats',
+        payload: {
+          questionId: question.id,
+          counts: stats.optionCounts,
+          percentages: stats.percentages,
+          total: stats.total
+        }
+      }];
+    }
+  };
+};
+
+module.exports = {
+  id: 'would-you-rather',
+  name: 'Would You Rather',
+  phases: Object.values(PHASES),
+
+  toRoomQuestion: (q) => ({
+    id: q.id || uuidv4(),
+    text: q.text,
+    optionA: q.optionA,
+    optionB: q.optionB,
+    difficulty: q.difficulty || 'medium'
+  }),
+
+  questionFields: (q) => {
+    const [optionA, optionB] = [q.optionA, q.optionB].map(option => (typeof option === 'string' ? option.trim() : ''));
+    if (!optionA || !optionB || optionA.length > MAX_OPTION_LENGTH || optionB.length > MAX_OPTION_LENGTH) {
+      throw createError('questions.wyrOptions', { max: MAX_OPTION_LENGTH });
+    }
+    return { optionA, optionB };
+  },
+
+  startTurn: (room, { questions }) => ({
+    phase: PHASES.VOTING,
+    questions: questions,
+    currentQuestion: null,
+    votes: {},
+    answers: {},
+    choices: {}
+  }),
+
+  actions: {
+    /**
+     * Vote for the question the room will answer
+     */
+    submit_vote: {
+      phases: [PHASES.VOTING],
+      role: 'others',
+      roleError: 'play.cannotVoteOwnTurn',
+      handle: (room, player, { questionId }) => {
+        const { votes, winningQuestion, event } = castVote(room, player, questionId);
+
+        if (!winningQuestion) {
+          return { changes: { votes }, events: [event] };
+        }
+
+        // Voting complete - everyone picks a side
+        const selected = selectQuestion(room, winningQuestion);
+        return {
+          changes: { votes, ...selected.changes },
+          events: [event, ...selected.events]
+        };
+      }
+    },
+
+    /**
+     * Pick option A or B of the selected question - players can change their mind
+     * until everyone has chosen
+     */
+    submit_choice: {
+      phases: [PHASES.CHOOSING],
+      role: 'any',
+      handle: (room, player, { choice }) => {
+        const option = typeof choice === 'string' ? choice.trim().toUpperCase() : null;
+        if (!OPTIONS.includes(option)) {
+          throw createError('play.badWyrChoice');
+        }
+
+        const question = room.currentQuestion;
+        const choices = {
+          ...(room.choices || {}),
+          [player.userId]: {
+            choice: option,
+            username: player.username,
+            chosenAt: new Date().toISOString()
+          }
+        };
+
+        const { counts, total, percentages } = summarizeChoices(choices);
+        const activePlayers = room.players.filter(p => p.isActive !== false);
+        const choosingComplete = activePlayers.every(p => choices[p.userId]);
+
+        const update = {
+          event: 'choice_update',
+          payload: {
+            questionId: question.id,
+            counts,
+            percentages,
+            total,
+            choices,
+            choosingComplete
+          }
+        };
+
+        if (!choosingComplete) {
+          return { changes: { choices }, events: [update] };
+        }
+
+        const round = finishRound(room, choices);
+        return { ...round, events: [update, ...round.events] };
+      }
+    }
+  },
+
+  phaseDeadlines: {
+    [PHASES.VOTING]: {
+      seconds: (settings) => settings.voteSeconds,
+      expire: (room) => selectQuestion(room, closeVote(room))
+    },
+    [PHASES.CHOOSING]: {
+      seconds: (settings) => settings.answerSeconds,
+      expire: (room) => finishRound(room, room.choices || {})
+    },
+    [PHASES.REVEAL]: {
+      seconds: (settings) => settings.revealSeconds
+    }
+  }
+};
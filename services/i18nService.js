@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Localization
+ * Server messages live in `locales/<locale>.json` as flat `key: text` maps
+ * with `{name}` placeholders. Lookups walk a fallback chain - `pt-BR`, then
+ * `pt`, then the default locale - so a catalog only needs the messages it
+ * changes.
+ *
+ * Services throw `createError(key, params)`: the error message is the
+ * default-locale text (logs and status checks keep working) and routes and
+ * socket handlers render it for the user with `localize`.
+ *
+ * Questions carry their translations as
+ * `translations: { es: { text, optionA, ... } }` over the default-locale
+ * fields; `localizeQuestion` picks the fields for a room's language.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+const LOCALE_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z0-9]{2,8}))?$/i;
+
+/**
+ * Load every catalog in the locales directory
+ */
+const loadCatalogs = () => {
+  const catalogs = {};
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    });
+  return catalogs;
+};
+
+const catalogs = loadCatalogs();
+
+const SUPPORTED_LOCALES = Object.keys(catalogs).sort();
+
+/**
+ * Normalize a locale tag (`pt_br` -> `pt-BR`) - null when it is not one
+ */
+const normalizeLocale = (locale) => {
+  const match = typeof locale === 'string' ? locale.trim().match(LOCALE_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  const [, language, region] = match;
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+};
+
+/**
+ * Locales to try for a locale, most specific first, ending with the default
+ */
+const getFallbackChain = (locale) => {
+  const normalized = normalizeLocale(locale);
+  const chain = [];
+  if (normalized) {
+    chain.push(normalized);
+    const [language] = normalized.split('-');
+    if (language !== normalized) {
+      chain.push(language);
+    }
+  }
+  if (!chain.includes(DEFAULT_LOCALE)) {
+    chain.push(DEFAULT_LOCALE);
+  }
+  return chain;
+};
+
+/**
+ * Locales of an Accept-Language header, by preference
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { locale: normalizeLocale(tag), quality: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+};
+
+/**
+ * The first of the given locales we have a catalog for (`fr-CA` is served by
+ * `fr`), or the default locale
+ */
+const resolveLocale = (...candidates) => {
+  for (const candidate of candidates) {
+    const normalized = normalizeLocale(candidate);
+    if (!normalized) {
+      continue;
+    }
+    const supported = [normalized, normalized.split('-')[0]].find(locale => catalogs[locale]);
+    if (supported) {
+      return supported;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Render a message in a locale - the key itself when no catalog has it
+ * Params fill the `{name}` placeholders.
+ */
+const translate = (locale, key, params = {}) => {
+  const catalog = getFallbackChain(locale).map(l => catalogs[l]).find(c => c && c[key] !== undefined);
+  const template = catalog ? catalog[key] : key;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+    // Wrapped errors (e.g. "Question 3: ...") render in the same locale
+    return value instanceof Error ? localize(locale, value) : String(value);
+  });
+};
+
+/**
+ * An error with a message key, to be rendered in the user's locale
+ */
+const createError = (key, params = {}) => {
+  const error = new Error(translate(DEFAULT_LOCALE, key, params));
+  error.messageKey = key;
+  error.params = params;
+  return error;
+};
+
+/**
+ * Render a message key, or an error, in a locale (errors without a key keep
+ * their message)
+ */
+const localize = (locale, message, params) => {
+  if (message instanceof Error) {
+    return message.messageKey ? translate(locale, message.messageKey, message.params) : message.message;
+  }
+  return translate(locale, message, params);
+};
+
+/**
+ * A question with the fields of a locale (through its fallbacks) over the
+ * default-locale ones
+ */
+const localizeQuestion = (question, locale) => {
+  const { translations, ...base } = question;
+  if (!translations) {
+    return question;
+  }
+
+  return getFallbackChain(locale)
+    .reverse()
+    .reduce((localized, l) => ({ ...localized, ...(translations[l] || {}) }), base);
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  getFallbackChain,
+  parseAcceptLanguage,
+  resolveLocale,
+  translate,
+  createError,
+  localize,
+  localizeQuestion
+};
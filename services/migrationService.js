@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { getStorage } = require('./firebaseService');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Data migrations
+ *
+ * Seed content lives in versioned data files (`seeds/`) and reaches the
+ * database through migrations (`migrations/`), applied in file name order.
+ * Each applied migration is recorded in the `migrations` collection with the
+ * log of its steps and what is needed to undo them, so it never runs twice and
+ * can be rolled back.
+ *
+ * A migration file is named `<version>-<name>.js` and exports:
+ *
+ *   description   what the migration does
+ *   up(context)   applies it - every step must be idempotent, since a failed
+ *                 migration is simply run again
+ *   down(context) optional - undoes it; without it the recorded undo log is
+ *                 replayed (created documents are deleted, changed ones get
+ *                 their previous content back)
+ *
+ * `context` gives the storage, `step(name, fn)` to run and log one step, and
+ * `upsertGame(seedGame)` / `seedGames(games)` for seed files.
+ */
+
+const COLLECTIONS = {
+  MIGRATIONS: 'migrations',
+  GAMES: 'games'
+};
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Load the migration files in version order
+ */
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+  .sort()
+  .map(file => {
+    const id = path.basename(file, '.js');
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${id} has no up() function`);
+    }
+
+    return {
+      id,
+      version: parseInt(id, 10),
+      description: migration.description || '',
+      up: migration.up,
+      down: typeof migration.down === 'function' ? migration.down : null
+    };
+  });
+
+/**
+ * Get the applied migrations in version order
+ */
+const getAppliedMigrations = async () => {
+  const storage = getStorage();
+  return storage.find(COLLECTIONS.MIGRATIONS, {
+    orderBy: { field: 'version', direction: 'asc' }
+  });
+};
+
+/**
+ * Merge seeded questions into a game's questions by ID
+ * Seeded questions replace the ones with the same ID and new ones are added;
+ * questions that are not in the seed (imported ones) are kept.
+ */
+const mergeQuestions = (current, seeded) => {
+  const seededById = new Map(seeded.map(q => [q.id, q]));
+  let changed = 0;
+
+  const questions = current.map(q => {
+    const seededQuestion = seededById.get(q.id);
+    if (!seededQuestion) {
+      return q;
+    }
+    seededById.delete(q.id);
+    if (isDeepStrictEqual(q, seededQuestion)) {
+      return q;
+    }
+    changed++;
+    return seededQuestion;
+  });
+
+  const added = Array.from(seededById.values());
+  return { questions: [...questions, ...added], added: added.length, changed };
+};
+
+/**
+ * Helpers handed to a migration's up()/down()
+ * `log` and `undo` collect what the steps did.
+ */
+const createContext = (log, undo) => {
+  const storage = getStorage();
+
+  const step = async (name, fn) => {
+    const result = (await fn()) || 'done';
+    log.push({ step: name, result, at: new Date().toISOString() });
+    console.log(`   - ${name}: ${result}`);
+    return result;
+  };
+
+  /**
+   * Create a seeded game or bring it up to date
+   * Games are found by their seed key, or by name for games created before
+   * seeds had keys.
+   */
+  const upsertGame = (seedGame) => {
+    const { key, questions = [], ...fields } = seedGame;
+
+    return step(`game ${key}`, async () => {
+      let [game] = await storage.find(COLLECTIONS.GAMES, { where: [['seedKey', '==', key]], limit: 1 });
+      if (!game) {
+        [game] = await storage.find(COLLECTIONS.GAMES, { where: [['name', '==', fields.name]], limit: 1 });
+      }
+
+      if (!game) {
+        const id = uuidv4();
+        await storage.set(COLLECTIONS.GAMES, id, {
+          ...fields,
+          seedKey: key,
+          questions,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        });
+        undo.push({ action: 'delete', collection: COLLECTIONS.GAMES, id });
+        return `created with ${questions.length} questions`;
+      }
+
+      const { id, ...current } = game;
+      const changes = {};
+      Object.entries({ ...fields, seedKey: key }).forEach(([field, value]) => {
+        if (!isDeepStrictEqual(current[field], value)) {
+          changes[field] = value;
+        }
+      });
+
+      const merged = mergeQuestions(current.questions || [], questions);
+      if (merged.added > 0 || merged.changed > 0) {
+        changes.questions = merged.questions;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return 'unchanged';
+      }
+
+      undo.push({ action: 'restore', collection: COLLECTIONS.GAMES, id, data: current });
+      await storage.update(COLLECTIONS.GAMES, id, {
+        ...changes,
+        updatedAt: new Date().toISOString()
+      });
+      return `updated (${merged.added} questions added, ${merged.changed} changed)`;
+    });
+  };
+
+  const seedGames = async (games) => {
+    for (const seedGame of games) {
+      await upsertGame(seedGame);
+    }
+  };
+
+  return { storage, step, upsertGame, seedGames };
+};
+
+/**
+ * Apply pending migrations in order (up to `to`, a version or migration ID)
+ * Returns the IDs of the migrations applied.
+ */
+const applyMigrations = async ({ to = null } = {}) => {
+  const storage = getStorage();
+  const applied = new Set((await getAppliedMigrations()).map(m => m.id));
+  const target = to === null ? Infinity : parseInt(to, 10);
+  const pending = loadMigrations().filter(m => !applied.has(m.id) && m.version <= target);
+
+  for (const migration of pending) {
+    console.log(`📦 Applying migration ${migration.id} - ${migration.description}`);
+    const log = [];
+    const undo = [];
+
+    try {
+      await migration.up(createContext(log, undo));
+    } catch (error) {
+      throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+    }
+
+    await storage.set(COLLECTIONS.MIGRATIONS, migration.id, {
+      version: migration.version,
+      description: migration.description,
+      appliedAt: new Date().toISOString(),
+      log,
+      undo
+    });
+    console.log(`✅ Applied migration ${migration.id}`);
+  }
+
+  return pending.map(m => m.id);
+};
+
+/**
+ * Undo the recorded changes of a migration, newest first
+ */
+const replayUndo = async (storage, undo, step) => {
+  for (const entry of [...undo].reverse()) {
+    await step(`${entry.action} ${entry.collection}/${entry.id}`, async () => {
+      if (entry.action === 'delete') {
+        const existing = await storage.get(entry.collection, entry.id);
+        if (!existing) {
+          return 'already gone';
+        }
+        await storage.delete(entry.collection, entry.id);
+        return 'deleted';
+      }
+      await storage.set(entry.collection, entry.id, entry.data);
+      return 'restored';
+    });
+  }
+};
+
+/**
+ * Roll back the last `steps` applied migrations, newest first
+ * Returns the IDs of the migrations rolled back.
+ */
+const rollbackMigrations = async ({ steps = 1 } = {}) => {
+  const storage = getStorage();
+  const migrations = new Map(loadMigrations().map(m => [m.id, m]));
+  const toRollBack = (await getAppliedMigrations()).reverse().slice(0, steps);
+
+  for (const record of toRollBack) {
+    console.log(`↩️  Rolling back migration ${record.id} - ${record.description}`);
+    const migration = migrations.get(record.id);
+    const log = [];
+    const context = createContext(log, []);
+
+    try {
+      if (migration && migration.down) {
+        await migration.down(context);
+      } else {
+        await replayUndo(storage, record.undo || [], context.step);
+      }
+    } catch (error) {
+      throw new Error(`Rolling back migration ${record.id} failed: ${error.message}`);
+    }
+
+    await storage.delete(COLLECTIONS.MIGRATIONS, record.id);
+    console.log(`✅ Rolled back migration ${record.id}`);
+  }
+
+  return toRollBack.map(m => m.id);
+};
+
+/**
+ * Every migration with its status - applied, pending, or missing (applied but
+ * its file is gone)
+ */
+const listMigrations = async () => {
+  const applied = new Map((await getAppliedMigrations()).map(m => [m.id, m]));
+  const migrations = loadMigrations().map(m => {
+    const record = applied.get(m.id);
+    applied.delete(m.id);
+    return {
+      id: m.id,
+      version: m.version,
+      description: m.description,
+      status: record ? 'applied' : 'pending',
+      appliedAt: record ? record.appliedAt : null,
+      steps: record ? (record.log || []).length : 0
+    };
+  });
+
+  const missing = Array.from(applied.values()).map(record => ({
+    id: record.id,
+    version: record.version,
+    description: record.description,
+    status: 'missing',
+    appliedAt: record.appliedAt,
+    steps: (record.log || []).length
+  }));
+
+  return [...migrations, ...missing].sort((a, b) => a.version - b.version);
+};
+
+module.exports = {
+  loadMigrations,
+  getAppliedMigrations,
+  applyMigrations,
+  rollbackMigrations,
+  listMigrations
+};
@@ -0,0 +1,453 @@
+const { getStorage } = require('./firebaseService');
+const { v4: uuidv4 } = require('uuid');
+const gameService = require('./gameService');
+const friendService = require('./friendService');
+const gameModes = require('./gameModes');
+const questionFileService = require('./questionFileService');
+const ratingService = require('./ratingService');
+const contentFilterService = require('./contentFilterService');
+const { createError } = require('./i18nService');
+
+/**
+ * Question packs
+ * Players write their own questions for a game and share them privately, with
+ * their friends or with everyone. A room plays the game's questions plus the
+ * packs its host picked. Questions are checked against the game's mode, so a
+ * Would You Rather pack cannot hold questions without options.
+ *
+ * A pack's `rating` is the default for its unrated questions, and is never
+ * lower than its most explicit question. Questions hidden by a moderator stay
+ * in the pack but are no longer drawn.
+ */
+
+const COLLECTIONS = {
+  PACKS: 'questionPacks'
+};
+
+const VISIBILITY = {
+  PRIVATE: 'private', // the owner only
+  FRIENDS: 'friends', // the owner and their accepted friends
+  PUBLIC: 'public' // everyone
+};
+
+const MAX_PACK_QUESTIONS = 200;
+
+// Firestore caps the values of an `in` filter
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Give unrated questions a rating (invalid entries are left for the mode to
+ * reject)
+ */
+const withDefaultRating = (questions, rating) => (Array.isArray(questions)
+  ? questions.map(q => (q && typeof q === 'object' && !q.rating ? { ...q, rating } : q))
+  : questions);
+
+/**
+ * A pack's rating - the one asked for, raised to its most explicit question
+ */
+const getPackRating = (rating, questions) => ratingService.highestRating(
+  ratingService.isRating(rating) ? rating : ratingService.DEFAULT_RATING,
+  ...questions.map(ratingService.getRating)
+);
+
+/**
+ * Check a pack's questions against its game's mode
+ * Questions that already belong to the pack keep their ID (so room decks and
+ * stats still line up after an edit) and stay hidden if a moderator hid them;
+ * new ones get a fresh one.
+ */
+const buildQuestions = (game, questions, existing = []) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw createError('packs.needsQuestion');
+  }
+  if (questions.length > MAX_PACK_QUESTIONS) {
+    throw createError('packs.tooManyQuestions', { max: MAX_PACK_QUESTIONS });
+  }
+
+  const modeId = gameModes.resolveModeId(game);
+  const existingById = new Map(existing.map(q => [q.id, q]));
+
+  return questions.map((question, index) => {
+    try {
+      const current = question && existingById.get(question.id);
+      const built = {
+        id: current ? current.id : uuidv4(),
+        ...gameModes.toCustomQuestion(modeId, question)
+      };
+      if (current && current.hidden) {
+        Object.assign(built, { hidden: true, hiddenAt: current.hiddenAt, hiddenBy: current.hiddenBy });
+      }
+      return built;
+    } catch (error) {
+      throw createError('questions.invalidRow', { row: index + 1, error });
+    }
+  });
+};
+
+/**
+ * Refuse questions holding words from the content filter's list
+ */
+const screenQuestions = async (userId, questions) => {
+  for (const [index, question] of questions.entries()) {
+    try {
+      await contentFilterService.checkFields(gameModes.getQuestionTexts(question), {
+        source: contentFilterService.SOURCES.QUESTION,
+        userId
+      });
+    } catch (error) {
+      throw createError('questions.invalidRow', { row: index + 1, error });
+    }
+  }
+};
+
+/**
+ * Get a pack by ID
+ */
+const getPackById = async (packId) => {
+  const storage = getStorage();
+  return storage.get(COLLECTIONS.PACKS, packId);
+};
+
+/**
+ * Whether a user may see (and play) a pack
+ */
+const canViewPack = async (pack, userId) => {
+  if (pack.visibility === VISIBILITY.PUBLIC || pack.ownerId === userId) {
+    return true;
+  }
+  if (pack.visibility !== VISIBILITY.FRIENDS || !userId) {
+    return false;
+  }
+
+  const friendIds = await friendService.getFriendIds(pack.ownerId);
+  return friendIds.includes(userId);
+};
+
+/**
+ * Get a pack if the user may see it (null otherwise, so hidden packs look
+ * like missing ones)
+ */
+const getVisiblePack = async (packId, userId) => {
+  const pack = await getPackById(packId);
+  if (!pack || !(await canViewPack(pack, userId))) {
+    return null;
+  }
+  return pack;
+};
+
+/**
+ * Get the packs a user can see - public ones, their own and their friends'
+ * friends-only packs - optionally for one game or up to a rating
+ */
+const getVisiblePacks = async (userId, { gameId = null, maxRating = null } = {}) => {
+  const storage = getStorage();
+  const gameFilter = gameId ? [['gameId', '==', gameId]] : [];
+
+  const queries = [
+    storage.find(COLLECTIONS.PACKS, {
+      where: [['visibility', '==', VISIBILITY.PUBLIC], ...gameFilter]
+    })
+  ];
+
+  if (userId) {
+    queries.push(storage.find(COLLECTIONS.PACKS, {
+      where: [['ownerId', '==', userId], ...gameFilter]
+    }));
+
+    const friendIds = await friendService.getFriendIds(userId);
+    for (let i = 0; i < friendIds.length; i += IN_QUERY_LIMIT) {
+      queries.push(storage.find(COLLECTIONS.PACKS, {
+        where: [
+          ['ownerId', 'in', friendIds.slice(i, i + IN_QUERY_LIMIT)],
+          ['visibility', '==', VISIBILITY.FRIENDS],
+          ...gameFilter
+        ]
+      }));
+    }
+  }
+
+  const packs = new Map();
+  (await Promise.all(queries)).flat().forEach(pack => packs.set(pack.id, pack));
+
+  return Array.from(packs.values())
+    .filter(pack => !maxRating || ratingService.isAllowed(ratingService.getRating(pack), maxRating))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Get the packs a user owns
+ */
+const getUserPacks = async (userId) => {
+  const storage = getStorage();
+  return storage.find(COLLECTIONS.PACKS, {
+    where: [['ownerId', '==', userId]],
+    orderBy: { field: 'name', direction: 'asc' }
+  });
+};
+
+/**
+ * Create a pack of questions for a game
+ */
+const createPack = async (owner, packData) => {
+  const storage = getStorage();
+  const game = await gameService.getGameById(packData.gameId);
+
+  if (!game) {
+    throw createError('games.notFound');
+  }
+
+  const rating = packData.rating || ratingService.DEFAULT_RATING;
+  const questions = buildQuestions(game, withDefaultRating(packData.questions, rating));
+  await screenQuestions(owner.userId, questions);
+  const pack = {
+    name: packData.name,
+    description: packData.description || '',
+    gameId: game.id,
+    gameName: game.name,
+    mode: gameModes.resolveModeId(game),
+    visibility: packData.visibility || VISIBILITY.PRIVATE,
+    rating: getPackRating(rating, questions),
+    ownerId: owner.userId,
+    ownerName: owner.username,
+    questions,
+    questionCount: questions.length,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const id = await storage.add(COLLECTIONS.PACKS, pack);
+  return { id, ...pack };
+};
+
+/**
+ * Update a pack (owner only) - name, description, visibility, rating and
+ * questions
+ */
+const updatePack = async (packId, userId, updates) => {
+  const storage = getStorage();
+  const pack = await getPackById(packId);
+
+  if (!pack) {
+    throw createError('packs.notFound');
+  }
+
+  if (pack.ownerId !== userId) {
+    throw createError('common.unauthorized');
+  }
+
+  const changes = {};
+  ['name', 'description', 'visibility'].forEach(key => {
+    if (updates[key] !== undefined) {
+      changes[key] = updates[key];
+    }
+  });
+
+  if (updates.questions !== undefined) {
+    const game = await gameService.getGameById(pack.gameId);
+    if (!game) {
+      throw createError('games.notFound');
+    }
+    const rating = updates.rating || ratingService.getRating(pack);
+    changes.questions = buildQuestions(game, withDefaultRating(updates.questions, rating), pack.questions);
+    await screenQuestions(userId, changes.questions);
+    changes.questionCount = changes.questions.length;
+  }
+
+  if (updates.rating !== undefined || changes.questions) {
+    changes.rating = getPackRating(updates.rating || pack.rating, changes.questions || pack.questions || []);
+  }
+
+  changes.updatedAt = new Date().toISOString();
+  await storage.update(COLLECTIONS.PACKS, packId, changes);
+
+  return { ...pack, ...changes };
+};
+
+/**
+ * Delete a pack (owner only)
+ * Rooms that picked it simply stop drawing its questions.
+ */
+const deletePack = async (packId, userId) => {
+  const storage = getStorage();
+  const pack = await getPackById(packId);
+
+  if (!pack) {
+    throw createError('packs.notFound');
+  }
+
+  if (pack.ownerId !== userId) {
+    throw createError('common.unauthorized');
+  }
+
+  await storage.delete(COLLECTIONS.PACKS, packId);
+  return { success: true };
+};
+
+/**
+ * Import a JSON or CSV file of questions into a pack - a new one, or one the
+ * user owns (`packId`)
+ * Nothing is written on a dry run or when any question is invalid - the report
+ * says what would happen.
+ */
+const importPackQuestions = async (owner, gameId, content, format, options = {}) => {
+  const { dryRun = false, packId = null, name, description, visibility, rating } = options;
+  const game = await gameService.getGameById(gameId);
+
+  if (!game) {
+    throw createError('games.notFound');
+  }
+
+  let pack = null;
+  if (packId) {
+    pack = await getPackById(packId);
+    if (!pack) {
+      throw createError('packs.notFound');
+    }
+    if (pack.ownerId !== owner.userId) {
+      throw createError('common.unauthorized');
+    }
+    if (pack.gameId !== game.id) {
+      throw createError('packs.wrongGame', { name: pack.name, gameName: pack.gameName });
+    }
+  }
+
+  // Questions the game already plays are duplicates too
+  const existing = pack ? pack.questions || [] : [];
+  const defaultRating = pack ? ratingService.getRating(pack) : rating || ratingService.DEFAULT_RATING;
+  const { questions, report } = questionFileService.checkImport(
+    game,
+    withDefaultRating(questionFileService.parseQuestions(content, format), defaultRating),
+    [...(game.questions || []), ...existing]
+  );
+
+  if (existing.length + questions.length > MAX_PACK_QUESTIONS) {
+    throw createError('packs.tooManyAfterImport', { max: MAX_PACK_QUESTIONS, count: existing.length + questions.length });
+  }
+
+  const imported = !dryRun && report.invalid.length === 0 && questions.length > 0;
+  if (imported && !pack && !name) {
+    throw createError('packs.nameRequired');
+  }
+  if (imported) {
+    pack = pack
+      ? await updatePack(pack.id, owner.userId, { questions: [...existing, ...questions] })
+      : await createPack(owner, { gameId: game.id, name, description, visibility, rating, questions });
+  }
+
+  return {
+    report: { ...report, dryRun, imported },
+    pack
+  };
+};
+
+/**
+ * Check the packs a host picked for a room - each must exist, be visible to
+ * the host and belong to the room's game
+ */
+const getPacksForRoom = async (userId, gameId, packIds = []) => {
+  const uniqueIds = Array.from(new Set(packIds));
+  const packs = await Promise.all(uniqueIds.map(packId => getVisiblePack(packId, userId)));
+
+  packs.forEach((pack, index) => {
+    if (!pack) {
+      throw createError('packs.idNotFound', { packId: uniqueIds[index] });
+    }
+    if (pack.gameId !== gameId) {
+      throw createError('packs.wrongGame', { name: pack.name, gameName: pack.gameName });
+    }
+  });
+
+  return packs;
+};
+
+/**
+ * All questions of the given packs that are still drawn, tagged with their
+ * pack
+ * Packs deleted since the room was created are skipped.
+ */
+const getPackQuestions = async (packIds = []) => {
+  if (packIds.length === 0) {
+    return [];
+  }
+
+  const storage = getStorage();
+  const packs = await storage.getMany(COLLECTIONS.PACKS, packIds);
+
+  return packs.flatMap(pack => (pack.questions || [])
+    .filter(gameService.isQuestionActive)
+    .map(q => ({ ...q, packId: pack.id })));
+};
+
+/**
+ * Every question of every pack of a game (hidden ones too), tagged with its
+ * pack
+ */
+const getGamePackQuestions = async (gameId) => {
+  const storage = getStorage();
+  const packs = await storage.find(COLLECTIONS.PACKS, {
+    where: [['gameId', '==', gameId]]
+  });
+
+  return packs.flatMap(pack => (pack.questions || []).map(q => ({ ...q, packId: pack.id, packName: pack.name })));
+};
+
+/**
+ * Find a question of a game's packs by ID - `{ packId, question }`, or null
+ */
+const findPackQuestion = async (gameId, questionId) => {
+  const question = (await getGamePackQuestions(gameId)).find(q => q.id === questionId);
+  return question ? { packId: question.packId, question } : null;
+};
+
+/**
+ * Hide a reported pack question (no longer drawn, moderators) - hiding a
+ * hidden question changes nothing
+ */
+const hidePackQuestion = async (actor, packId, questionId) => {
+  const storage = getStorage();
+
+  return storage.runTransaction(async (transaction) => {
+    const pack = await transaction.get(COLLECTIONS.PACKS, packId);
+
+    if (!pack) {
+      throw createError('packs.notFound');
+    }
+
+    const questions = pack.questions || [];
+    const question = questions.find(q => q.id === questionId);
+    if (!question) {
+      throw createError('catalog.questionNotFound');
+    }
+    if (question.hidden) {
+      return pack;
+    }
+
+    const hidden = { ...question, hidden: true, hiddenAt: new Date().toISOString(), hiddenBy: actor.userId };
+    const changes = {
+      questions: questions.map(q => (q.id === questionId ? hidden : q)),
+      updatedAt: new Date().toISOString()
+    };
+    transaction.update(COLLECTIONS.PACKS, packId, changes);
+    return { ...pack, ...changes };
+  });
+};
+
+module.exports = {
+  VISIBILITY,
+  MAX_PACK_QUESTIONS,
+  getPackById,
+  canViewPack,
+  getVisiblePack,
+  getVisiblePacks,
+  getUserPacks,
+  createPack,
+  updatePack,
+  deletePack,
+  importPackQuestions,
+  getPacksForRoom,
+  getPackQuestions,
+  getGamePackQuestions,
+  findPackQuestion,
+  hidePackQuestion
+};
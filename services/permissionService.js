@@ -0,0 +1,96 @@
+/**
+ * Roles and permissions
+ * Users carry a `role` (user, moderator or admin - each includes the ones
+ * before it). A permission is granted by a rule over the user and, for room
+ * actions, the room; REST routes check them with `authorize(...)` and socket
+ * events with `authorizeSocket(...)` (middleware/auth.js).
+ *
+ * ADMIN_EMAILS (comma separated) names admins before anyone can set roles.
+ */
+
+const ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+// Lowest to highest - a role has every permission of the roles before it
+const ROLE_ORDER = [ROLES.USER, ROLES.MODERATOR, ROLES.ADMIN];
+
+const PERMISSIONS = {
+  MANAGE_CATALOG: 'manage_catalog',
+  MANAGE_ROLES: 'manage_roles',
+  MODERATE: 'moderate',
+  HOST_ROOM: 'host_room',
+  ADVANCE_TURN: 'advance_turn'
+};
+
+/**
+ * Get a user's ID
+ */
+const getUserId = (user) => (user ? user.uid || user.id : null);
+
+/**
+ * Get a user's role (unknown or missing roles count as `user`)
+ */
+const getUserRole = (user) => {
+  if (!user) {
+    return null;
+  }
+
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (user.email && adminEmails.includes(user.email.toLowerCase())) {
+    return ROLES.ADMIN;
+  }
+  return ROLE_ORDER.includes(user.role) ? user.role : ROLES.USER;
+};
+
+/**
+ * Whether a user has a role or a higher one
+ */
+const hasRole = (user, role) => {
+  const userRole = getUserRole(user);
+  return !!userRole && ROLE_ORDER.indexOf(userRole) >= ROLE_ORDER.indexOf(role);
+};
+
+/**
+ * Whether a user is the host of a room
+ */
+const isRoomHost = (room, userId) => !!room && !!userId && room.hostId === userId;
+
+/**
+ * Rules by permission - `(user, { room }) => boolean`
+ */
+const RULES = {
+  [PERMISSIONS.MANAGE_CATALOG]: (user) => hasRole(user, ROLES.ADMIN),
+  [PERMISSIONS.MANAGE_ROLES]: (user) => hasRole(user, ROLES.ADMIN),
+  [PERMISSIONS.MODERATE]: (user) => hasRole(user, ROLES.MODERATOR),
+  [PERMISSIONS.HOST_ROOM]: (user, { room }) => isRoomHost(room, getUserId(user)),
+  // The original host keeps the turn controls while someone stands in for them
+  [PERMISSIONS.ADVANCE_TURN]: (user, { room }) => isRoomHost(room, getUserId(user)) ||
+    (!!room && !!room.originalHostId && room.originalHostId === getUserId(user))
+};
+
+/**
+ * Whether a user has a permission (`context.room` for room permissions)
+ */
+const can = (user, permission, context = {}) => {
+  const rule = RULES[permission];
+  if (!rule) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return !!user && rule(user, context);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  getUserRole,
+  hasRole,
+  isRoomHost,
+  can
+};
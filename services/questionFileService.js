@@ -0,0 +1,249 @@
+const { v4: uuidv4 } = require('uuid');
+const gameModes = require('./gameModes');
+const { createError } = require('./i18nService');
+
+/**
+ * Question files
+ * Read and write a game's questions as JSON or CSV so content can be edited
+ * outside the code. Imports are checked against the game's mode, duplicates
+ * (same text, ignoring case and spacing) are skipped, and every import
+ * produces a report - a dry run only produces the report.
+ *
+ * JSON is a list of questions, or `{ questions: [...] }` as exported. CSV has a
+ * header row naming the question fields (see COLUMNS); empty cells are left
+ * out.
+ */
+
+const FORMATS = {
+  JSON: 'json',
+  CSV: 'csv'
+};
+
+// Question fields in CSV column order
+const COLUMNS = ['id', 'text', 'difficulty', 'rating', 'type', 'optionA', 'optionB', 'category', 'hint'];
+
+const MAX_IMPORT_QUESTIONS = 1000;
+
+/**
+ * Resolve a format name ('json' or 'csv', any case)
+ */
+const toFormat = (format) => {
+  const name = String(format || '').trim().toLowerCase();
+  if (!Object.values(FORMATS).includes(name)) {
+    throw createError('files.badFormat', { formats: Object.values(FORMATS).join(' or ') });
+  }
+  return name;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 - quoted cells may hold commas,
+ * newlines and doubled quotes)
+ */
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw createError('files.unterminatedQuote');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no question
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read questions from a CSV file with a header row
+ */
+const parseCsv = (content) => {
+  const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+  const unknown = columns.filter(name => !COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw createError('files.unknownColumns', { columns: unknown.join(', '), expected: COLUMNS.join(', ') });
+  }
+  if (!columns.includes('text')) {
+    throw createError('files.needsText');
+  }
+
+  return rows.map(cells => {
+    const question = {};
+    columns.forEach((name, index) => {
+      const value = (cells[index] || '').trim();
+      if (value !== '') {
+        question[name] = value;
+      }
+    });
+    return question;
+  });
+};
+
+/**
+ * Read questions from a JSON file
+ */
+const parseJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw createError('files.invalidJson', { reason: error.message });
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    throw createError('files.badJsonShape');
+  }
+  return questions;
+};
+
+/**
+ * Read the questions of a file in the given format
+ */
+const parseQuestions = (content, format) => {
+  if (typeof content !== 'string') {
+    throw createError('files.notText');
+  }
+
+  const questions = toFormat(format) === FORMATS.CSV ? parseCsv(content) : parseJson(content);
+  if (questions.length > MAX_IMPORT_QUESTIONS) {
+    throw createError('files.tooManyQuestions', { max: MAX_IMPORT_QUESTIONS });
+  }
+  return questions;
+};
+
+/**
+ * Key used to spot duplicate questions
+ */
+const toTextKey = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Check imported questions against a game and the questions it already has
+ * Returns the questions to add (with IDs) and the report. Rows are numbered
+ * from 1 in file order (the CSV header is not counted).
+ */
+const checkImport = (game, questions, existingQuestions = []) => {
+  const modeId = gameModes.resolveModeId(game);
+  const knownTexts = new Set(existingQuestions.map(q => toTextKey(q.text)));
+  const knownIds = new Set(existingQuestions.map(q => q.id));
+
+  const added = [];
+  const duplicates = [];
+  const invalid = [];
+
+  questions.forEach((question, index) => {
+    const row = index + 1;
+    let checked;
+    try {
+      checked = gameModes.toCustomQuestion(modeId, question);
+    } catch (error) {
+      invalid.push({ row, message: error.message });
+      return;
+    }
+
+    const key = toTextKey(checked.text);
+    if (knownTexts.has(key)) {
+      duplicates.push({ row, text: checked.text });
+      return;
+    }
+    knownTexts.add(key);
+
+    // Keep a file's own IDs when they are free, so editors can name questions
+    const id = typeof question.id === 'string' && question.id.trim() && !knownIds.has(question.id.trim())
+      ? question.id.trim()
+      : uuidv4();
+    knownIds.add(id);
+
+    added.push({ id, ...checked });
+  });
+
+  return {
+    questions: added,
+    report: {
+      gameId: game.id,
+      gameName: game.name,
+      total: questions.length,
+      added: added.length,
+      duplicates,
+      invalid
+    }
+  };
+};
+
+/**
+ * Quote a CSV cell when it needs it
+ */
+const toCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write questions in the given format
+ * CSV only has the columns the questions use.
+ */
+const formatQuestions = (game, questions, format) => {
+  if (toFormat(format) === FORMATS.JSON) {
+    return JSON.stringify({
+      game: { id: game.id, name: game.name, mode: gameModes.resolveModeId(game) },
+      questions
+    }, null, 2);
+  }
+
+  const columns = COLUMNS.filter(name => questions.some(q => q[name] !== undefined && q[name] !== ''));
+  const lines = [
+    columns.join(','),
+    ...questions.map(q => columns.map(name => toCsvCell(q[name])).join(','))
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  MAX_IMPORT_QUESTIONS,
+  toFormat,
+  parseQuestions,
+  checkImport,
+  toCsvCell,
+  formatQuestions
+};
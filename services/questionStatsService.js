@@ -0,0 +1,303 @@
+const { getStorage } = require('./firebaseService');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./i18nService');
+
+/**
+ * Question stats across all rooms
+ * Each question of a game has one stats document: the option splits of Would
+ * You Rather rounds, how often it was offered as a candidate, won the vote or
+ * was skipped (offered, but nobody voted for it while others got votes), and
+ * the thumbs up/down players gave it after playing it.
+ *
+ * Those turn into a `popularity` between 0 and 1 that candidate picking
+ * weights by. Questions offered fewer than MIN_OFFERS times have no
+ * popularity yet and are drawn as if well liked, so new questions get shown.
+ *
+ * Every finished turn is also logged (`questionTurns`) with its date, so
+ * analytics can look at any period (see analyticsService).
+ */
+
+const COLLECTIONS = {
+  QUESTION_STATS: 'questionStats',
+  QUESTION_RATINGS: 'questionRatings',
+  QUESTION_TURNS: 'questionTurns'
+};
+
+const THUMBS = {
+  UP: 'up',
+  DOWN: 'down'
+};
+
+// Offers before a question's popularity is trusted
+const MIN_OFFERS = 5;
+
+/**
+ * Stats document ID for a question of a game
+ */
+const getStatsId = (gameId, questionId) => `${gameId}__${questionId}`;
+
+/**
+ * Work out rounded percentages for a set of counts
+ */
+const toPercentages = (counts) => {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const percentages = {};
+  Object.entries(counts).forEach(([key, count]) => {
+    percentages[key] = total > 0 ? Math.round((count / total) * 100) : 0;
+  });
+  return { total, percentages };
+};
+
+/**
+ * How well liked a question is, 0-1 - wins and thumbs up against skips and
+ * thumbs down, smoothed towards 0.5 (null until it was offered MIN_OFFERS
+ * times)
+ */
+const getPopularity = (stats) => {
+  if (!stats || (stats.offers || 0) < MIN_OFFERS) {
+    return null;
+  }
+
+  const likes = (stats.wins || 0) + (stats.thumbsUp || 0);
+  const dislikes = (stats.skips || 0) + (stats.thumbsDown || 0);
+  return Math.round(((likes + 1) / (likes + dislikes + 2)) * 1000) / 1000;
+};
+
+/**
+ * Stats as sent to clients - with the option split and popularity
+ */
+const toStatsView = (stats) => ({
+  ...stats,
+  ...toPercentages(stats.optionCounts || {}),
+  popularity: getPopularity(stats)
+});
+
+/**
+ * Milliseconds the current player took to answer the selected question - or,
+ * in Charades, until their prompt was guessed (null when nobody did, or the
+ * mode does not time answers)
+ */
+const getAnswerMs = (room) => {
+  const answer = (room.answers || {})[room.currentPlayerTurn];
+  const answeredAt = answer ? answer.submittedAt : room.reveal && room.reveal.guessedAt;
+  if (!room.questionSelectedAt || !answeredAt) {
+    return null;
+  }
+  return Math.max(0, new Date(answeredAt) - new Date(room.questionSelectedAt));
+};
+
+/**
+ * What happened to the candidates of a room's turn, from its votes - the
+ * questions `offered`, the one that `won` and those `skipped`, with the votes
+ * each got and how long the winner took to answer
+ * `playedId` is the question played (see gameModes.getPlayedQuestionId). A
+ * mode with a secret prompt (`promptId`) offers just that one, with no vote.
+ */
+const summarizeTurn = (room, playedId = room.currentQuestion && room.currentQuestion.id) => {
+  const candidates = room.promptId ? [room.promptId] : (room.questions || []).map(q => q.id);
+  const offered = Array.from(new Set(candidates.filter(Boolean)));
+  const wonId = playedId;
+  const votes = {};
+  offered.forEach(id => {
+    votes[id] = ((room.votes || {})[id] || []).length;
+  });
+  const anyVotes = Object.values(votes).some(count => count > 0);
+  const won = offered.includes(wonId) ? wonId : null;
+
+  return {
+    gameId: room.gameId,
+    roomId: room.id,
+    round: room.round || 1,
+    offered,
+    won,
+    skipped: anyVotes ? offered.filter(id => votes[id] === 0 && id !== wonId) : [],
+    votes,
+    answerMs: won ? getAnswerMs(room) : null
+  };
+};
+
+/**
+ * Add a finished turn (see summarizeTurn) to its questions' stats and the
+ * turn log
+ */
+const recordTurn = async (turn) => {
+  const { gameId, offered, won, skipped, votes } = turn;
+  if (!gameId || offered.length === 0) {
+    return;
+  }
+
+  const storage = getStorage();
+  const recordedAt = new Date().toISOString();
+  await storage.runTransaction(async (transaction) => {
+    const existing = await Promise.all(offered.map(questionId => (
+      transaction.get(COLLECTIONS.QUESTION_STATS, getStatsId(gameId, questionId))
+    )));
+
+    offered.forEach((questionId, index) => {
+      const current = existing[index] || {};
+      transaction.set(COLLECTIONS.QUESTION_STATS, getStatsId(gameId, questionId), {
+        gameId,
+        questionId,
+        offers: (current.offers || 0) + 1,
+        wins: (current.wins || 0) + (questionId === won ? 1 : 0),
+        skips: (current.skips || 0) + (skipped.includes(questionId) ? 1 : 0),
+        votes: (current.votes || 0) + (votes[questionId] || 0),
+        updatedAt: recordedAt
+      }, { merge: true });
+    });
+
+    transaction.set(COLLECTIONS.QUESTION_TURNS, uuidv4(), { ...turn, createdAt: recordedAt });
+  });
+};
+
+/**
+ * The logged turns of a game between two ISO dates (either may be null)
+ */
+const getTurns = async (gameId, { from = null, to = null } = {}) => {
+  const storage = getStorage();
+  const where = [['gameId', '==', gameId]];
+  if (from) {
+    where.push(['createdAt', '>=', from]);
+  }
+  if (to) {
+    where.push(['createdAt', '<=', to]);
+  }
+  return storage.find(COLLECTIONS.QUESTION_TURNS, { where });
+};
+
+/**
+ * The thumbs given to a game's questions between two ISO dates (either may be
+ * null) - a player's latest thumb for each question
+ */
+const getThumbs = async (gameId, { from = null, to = null } = {}) => {
+  const storage = getStorage();
+  const where = [['gameId', '==', gameId]];
+  if (from) {
+    where.push(['ratedAt', '>=', from]);
+  }
+  if (to) {
+    where.push(['ratedAt', '<=', to]);
+  }
+  return storage.find(COLLECTIONS.QUESTION_RATINGS, { where });
+};
+
+/**
+ * Record a player's thumbs up or down for a question - one per player, a new
+ * one replaces theirs
+ */
+const rateQuestion = async (gameId, questionId, userId, thumb) => {
+  if (!Object.values(THUMBS).includes(thumb)) {
+    throw createError('play.badThumb', { thumbs: Object.values(THUMBS).join(', ') });
+  }
+
+  const storage = getStorage();
+  const statsId = getStatsId(gameId, questionId);
+  const ratingId = `${statsId}__${userId}`;
+
+  return storage.runTransaction(async (transaction) => {
+    const existing = await transaction.get(COLLECTIONS.QUESTION_STATS, statsId);
+    const previous = await transaction.get(COLLECTIONS.QUESTION_RATINGS, ratingId);
+    const counts = {
+      thumbsUp: (existing && existing.thumbsUp) || 0,
+      thumbsDown: (existing && existing.thumbsDown) || 0
+    };
+
+    if (previous) {
+      counts[previous.thumb === THUMBS.UP ? 'thumbsUp' : 'thumbsDown'] -= 1;
+    }
+    counts[thumb === THUMBS.UP ? 'thumbsUp' : 'thumbsDown'] += 1;
+
+    const stats = { gameId, questionId, ...counts, updatedAt: new Date().toISOString() };
+    transaction.set(COLLECTIONS.QUESTION_STATS, statsId, stats, { merge: true });
+    transaction.set(COLLECTIONS.QUESTION_RATINGS, ratingId, {
+      gameId,
+      questionId,
+      userId,
+      thumb,
+      ratedAt: stats.updatedAt
+    });
+    return toStatsView({ ...existing, ...stats });
+  });
+};
+
+/**
+ * Add the option choices of a finished round to a question's global stats
+ * `counts` maps an option key (e.g. 'A' / 'B') to the number of players who picked it.
+ */
+const recordOptionChoices = async (gameId, questionId, counts) => {
+  const storage = getStorage();
+  const statsId = getStatsId(gameId, questionId);
+
+  return storage.runTransaction(async (transaction) => {
+    const existing = await transaction.get(COLLECTIONS.QUESTION_STATS, statsId);
+    const optionCounts = { ...((existing && existing.optionCounts) || {}) };
+
+    Object.entries(counts).forEach(([option, count]) => {
+      optionCounts[option] = (optionCounts[option] || 0) + count;
+    });
+
+    const stats = {
+      gameId,
+      questionId,
+      optionCounts,
+      rounds: ((existing && existing.rounds) || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    transaction.set(COLLECTIONS.QUESTION_STATS, statsId, stats, { merge: true });
+    return toStatsView({ ...existing, ...stats });
+  });
+};
+
+/**
+ * Get the global stats of a question
+ */
+const getQuestionStats = async (gameId, questionId) => {
+  const storage = getStorage();
+  const stats = await storage.get(COLLECTIONS.QUESTION_STATS, getStatsId(gameId, questionId));
+
+  if (!stats) {
+    return null;
+  }
+
+  return toStatsView(stats);
+};
+
+/**
+ * Get the global stats of every question of a game
+ */
+const getGameQuestionStats = async (gameId) => {
+  const storage = getStorage();
+  const stats = await storage.find(COLLECTIONS.QUESTION_STATS, {
+    where: [['gameId', '==', gameId]]
+  });
+
+  return stats.map(toStatsView);
+};
+
+/**
+ * Popularity of every question of a game with enough offers, by question ID
+ */
+const getGamePopularity = async (gameId) => {
+  const popularity = {};
+  (await getGameQuestionStats(gameId)).forEach(stats => {
+    if (stats.popularity !== null) {
+      popularity[stats.questionId] = stats.popularity;
+    }
+  });
+  return popularity;
+};
+
+module.exports = {
+  THUMBS,
+  toPercentages,
+  summarizeTurn,
+  recordTurn,
+  getTurns,
+  rateQuestion,
+  getThumbs,
+  recordOptionChoices,
+  getQuestionStats,
+  getGameQuestionStats,
+  getGamePopularity
+};
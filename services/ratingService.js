@@ -0,0 +1,77 @@
+/**
+ * Content ratings
+ * Questions and packs are rated `family`, `teen` or `adult` (each allows the
+ * ones before it). A room plays at most its host's `settings.maxRating`, and
+ * never above what any of its active players may see - their own preference
+ * (`maxRating` on their profile) or `teen` for players flagged `isMinor`.
+ */
+
+const RATINGS = {
+  FAMILY: 'family',
+  TEEN: 'teen',
+  ADULT: 'adult'
+};
+
+// Mildest to most explicit
+const RATING_ORDER = [RATINGS.FAMILY, RATINGS.TEEN, RATINGS.ADULT];
+
+// Questions written before ratings existed are all family friendly
+const DEFAULT_RATING = RATINGS.FAMILY;
+
+// Rooms only play adult content when the host asks for it
+const DEFAULT_ROOM_RATING = RATINGS.TEEN;
+
+const MINOR_MAX_RATING = RATINGS.TEEN;
+
+/**
+ * Whether a value is a known rating
+ */
+const isRating = (rating) => RATING_ORDER.includes(rating);
+
+/**
+ * Get the rating of a question or pack (unrated ones are family friendly)
+ */
+const getRating = (item) => (item && isRating(item.rating) ? item.rating : DEFAULT_RATING);
+
+/**
+ * Whether content of a rating may be shown under a maximum rating
+ */
+const isAllowed = (rating, maxRating) => RATING_ORDER.indexOf(rating) <= RATING_ORDER.indexOf(maxRating);
+
+/**
+ * The mildest of the given ratings (unknown values are ignored; null when
+ * none is known)
+ */
+const lowestRating = (...ratings) => {
+  const known = ratings.filter(isRating);
+  return known.length > 0 ? RATING_ORDER[Math.min(...known.map(r => RATING_ORDER.indexOf(r)))] : null;
+};
+
+/**
+ * The most explicit of the given ratings (null when none is known)
+ */
+const highestRating = (...ratings) => {
+  const known = ratings.filter(isRating);
+  return known.length > 0 ? RATING_ORDER[Math.max(...known.map(r => RATING_ORDER.indexOf(r)))] : null;
+};
+
+/**
+ * The highest rating a user may be shown - their preference, capped for minors
+ */
+const getUserMaxRating = (user) => lowestRating(
+  user && isRating(user.maxRating) ? user.maxRating : RATINGS.ADULT,
+  user && user.isMinor === true ? MINOR_MAX_RATING : RATINGS.ADULT
+);
+
+module.exports = {
+  RATINGS,
+  RATING_ORDER,
+  DEFAULT_RATING,
+  DEFAULT_ROOM_RATING,
+  isRating,
+  getRating,
+  isAllowed,
+  lowestRating,
+  highestRating,
+  getUserMaxRating
+};
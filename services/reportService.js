@@ -0,0 +1,324 @@
+const { getStorage } = require('./firebaseService');
+const gameService = require('./gameService');
+const packService = require('./packService');
+const catalogService = require('./catalogService');
+const roomService = require('./roomService');
+const auditService = require('./auditService');
+const gameModes = require('./gameModes');
+const { createError } = require('./i18nService');
+
+/**
+ * Player reports
+ * Players report a question (by game and question ID) or what another player
+ * wrote in their room, with a reason. Reports wait in a moderation queue until
+ * a moderator dismisses them or hides the reported question, which stops it
+ * being drawn. The reported text is copied onto the report, so it can still be
+ * reviewed once the question is edited or the turn has moved on.
+ */
+
+const COLLECTIONS = {
+  REPORTS: 'reports'
+};
+
+const TARGETS = {
+  QUESTION: 'question',
+  ANSWER: 'answer'
+};
+
+const REASONS = {
+  OFFENSIVE: 'offensive',
+  BROKEN: 'broken', // wrong, unclear or does not fit the game
+  SPAM: 'spam',
+  OTHER: 'other'
+};
+
+const STATUSES = {
+  OPEN: 'open',
+  DISMISSED: 'dismissed',
+  HIDDEN: 'hidden'
+};
+
+const AUDIT_SCOPE = 'moderation';
+
+const MAX_DETAILS_LENGTH = 500;
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Check the reason and details of a report
+ */
+const toReason = ({ reason, details }) => {
+  if (!Object.values(REASONS).includes(reason)) {
+    throw createError('moderation.badReason', { reasons: Object.values(REASONS).join(', ') });
+  }
+  if (details !== undefined && details !== null && typeof details !== 'string') {
+    throw createError('moderation.detailsLength', { max: MAX_DETAILS_LENGTH });
+  }
+
+  const trimmed = (details || '').trim();
+  if (trimmed.length > MAX_DETAILS_LENGTH) {
+    throw createError('moderation.detailsLength', { max: MAX_DETAILS_LENGTH });
+  }
+  return { reason, details: trimmed };
+};
+
+/**
+ * Find a question by game and question ID - in the game, or in one of its
+ * packs
+ */
+const findQuestion = async (gameId, questionId) => {
+  const game = await gameService.getGameById(gameId);
+
+  if (!game) {
+    throw createError('games.notFound');
+  }
+
+  const question = (game.questions || []).find(q => q.id === questionId);
+  if (question) {
+    return { question, packId: null };
+  }
+
+  const found = await packService.findPackQuestion(gameId, questionId);
+  if (!found) {
+    throw createError('catalog.questionNotFound');
+  }
+  const { packId, ...rest } = found.question;
+  return { question: rest, packId };
+};
+
+/**
+ * What a report is about - its target fields and a copy of the reported text
+ */
+const getReportTarget = async (reporterId, data) => {
+  if (data.target === TARGETS.QUESTION) {
+    const { question, packId } = await findQuestion(data.gameId, data.questionId);
+    return {
+      gameId: data.gameId,
+      questionId: data.questionId,
+      packId,
+      roomId: data.roomId || null,
+      content: gameModes.getQuestionTexts(question)
+    };
+  }
+
+  if (data.target === TARGETS.ANSWER) {
+    const room = await roomService.getRoomById(data.roomId);
+
+    if (!room) {
+      throw createError('rooms.notFound');
+    }
+    if (!room.players.some(p => p.userId === reporterId)) {
+      throw createError('rooms.notMember');
+    }
+    if (data.userId === reporterId) {
+      throw createError('moderation.ownAnswer');
+    }
+
+    const author = room.players.find(p => p.userId === data.userId);
+    const texts = author ? gameModes.getPlayerTexts(room, author.userId) : [];
+    if (texts.length === 0) {
+      throw createError('moderation.noAnswer');
+    }
+
+    return {
+      gameId: room.gameId,
+      questionId: room.currentQuestion && room.currentQuestion.id ? room.currentQuestion.id : null,
+      roomId: room.id,
+      round: room.round || null,
+      authorId: author.userId,
+      authorName: author.username,
+      content: { answer: texts }
+    };
+  }
+
+  throw createError('moderation.badTarget', { targets: Object.values(TARGETS).join(', ') });
+};
+
+/**
+ * Key of what a report is about - a question, or what one player wrote in a
+ * round of a room - so a player cannot report the same thing twice
+ */
+const getTargetKey = (target, fields) => (target === TARGETS.QUESTION
+  ? `question:${fields.gameId}:${fields.questionId}`
+  : `answer:${fields.roomId}:${fields.round}:${fields.authorId}`);
+
+/**
+ * Report a question or answer
+ * `data` is `{ target, reason, details }` plus `{ gameId, questionId, roomId }`
+ * for a question or `{ roomId, userId }` (who wrote it) for an answer.
+ */
+const createReport = async (reporter, data) => {
+  const storage = getStorage();
+  const { reason, details } = toReason(data);
+  const fields = await getReportTarget(reporter.userId, data);
+  const targetKey = getTargetKey(data.target, fields);
+
+  const existing = await storage.find(COLLECTIONS.REPORTS, {
+    where: [['targetKey', '==', targetKey], ['reporterId', '==', reporter.userId], ['status', '==', STATUSES.OPEN]],
+    limit: 1
+  });
+  if (existing.length > 0) {
+    throw createError('moderation.alreadyReported');
+  }
+
+  const report = {
+    target: data.target,
+    targetKey,
+    ...fields,
+    reason,
+    details,
+    reporterId: reporter.userId,
+    reporterName: reporter.username,
+    status: STATUSES.OPEN,
+    createdAt: new Date().toISOString()
+  };
+
+  const id = await storage.add(COLLECTIONS.REPORTS, report);
+  return { id, ...report };
+};
+
+/**
+ * Get a report by ID
+ */
+const getReport = async (reportId) => {
+  const storage = getStorage();
+  const report = await storage.get(COLLECTIONS.REPORTS, reportId);
+
+  if (!report) {
+    throw createError('moderation.reportNotFound');
+  }
+  return report;
+};
+
+/**
+ * Get the moderation queue, newest first - open reports unless another
+ * `status` is asked for, optionally of one target type or game
+ */
+const getReports = async ({ status = STATUSES.OPEN, target, gameId, limit = DEFAULT_LIMIT } = {}) => {
+  const storage = getStorage();
+  const where = [['status', '==', status]];
+  Object.entries({ target, gameId }).forEach(([field, value]) => {
+    if (value !== undefined && value !== null) {
+      where.push([field, '==', value]);
+    }
+  });
+
+  return storage.find(COLLECTIONS.REPORTS, {
+    where,
+    orderBy: { field: 'createdAt', direction: 'desc' },
+    limit
+  });
+};
+
+/**
+ * Question reports of a game between two ISO dates (either may be null),
+ * whatever their status
+ */
+const getQuestionReports = async (gameId, { from = null, to = null } = {}) => {
+  const storage = getStorage();
+  const where = [['gameId', '==', gameId], ['target', '==', TARGETS.QUESTION]];
+  if (from) {
+    where.push(['createdAt', '>=', from]);
+  }
+  if (to) {
+    where.push(['createdAt', '<=', to]);
+  }
+  return storage.find(COLLECTIONS.REPORTS, { where });
+};
+
+/**
+ * Close open reports with a status, in one batch
+ */
+const closeReports = async (reports, actor, status, note) => {
+  const storage = getStorage();
+  const resolution = {
+    status,
+    resolvedBy: actor.userId,
+    resolvedByName: actor.username,
+    resolvedAt: new Date().toISOString(),
+    note: note || ''
+  };
+
+  const batch = storage.batch();
+  reports.forEach(report => batch.update(COLLECTIONS.REPORTS, report.id, resolution));
+  await batch.commit();
+
+  return reports.map(report => ({ ...report, ...resolution }));
+};
+
+/**
+ * Get a report that is still waiting for a moderator
+ */
+const getOpenReport = async (reportId) => {
+  const report = await getReport(reportId);
+
+  if (report.status !== STATUSES.OPEN) {
+    throw createError('moderation.reportClosed', { status: report.status });
+  }
+  return report;
+};
+
+/**
+ * Dismiss a report - nothing needs to change
+ */
+const dismissReport = async (actor, reportId, { note } = {}) => {
+  const report = await getOpenReport(reportId);
+  const [dismissed] = await closeReports([report], actor, STATUSES.DISMISSED, note);
+
+  await auditService.recordChange({
+    scope: AUDIT_SCOPE,
+    action: 'report_dismissed',
+    actor,
+    target: { reportId, gameId: report.gameId, questionId: report.questionId },
+    changes: { reason: report.reason, note: dismissed.note }
+  });
+
+  return dismissed;
+};
+
+/**
+ * Hide the question of a report so it is no longer drawn
+ * Every open report on the question is closed with it.
+ */
+const hideReportedQuestion = async (actor, reportId, { note } = {}) => {
+  const storage = getStorage();
+  const report = await getOpenReport(reportId);
+
+  if (report.target !== TARGETS.QUESTION) {
+    throw createError('moderation.notAQuestion');
+  }
+
+  if (report.packId) {
+    await packService.hidePackQuestion(actor, report.packId, report.questionId);
+  } else {
+    await catalogService.hideQuestion(actor, report.gameId, report.questionId);
+  }
+
+  const others = await storage.find(COLLECTIONS.REPORTS, {
+    where: [['targetKey', '==', report.targetKey], ['status', '==', STATUSES.OPEN]]
+  });
+  const closed = await closeReports([report, ...others.filter(r => r.id !== report.id)], actor, STATUSES.HIDDEN, note);
+
+  await auditService.recordChange({
+    scope: AUDIT_SCOPE,
+    action: 'question_hidden',
+    actor,
+    target: { reportId, gameId: report.gameId, questionId: report.questionId, packId: report.packId },
+    changes: { text: report.content.text, reportIds: closed.map(r => r.id), note: closed[0].note }
+  });
+
+  return { report: closed[0], closed: closed.length };
+};
+
+module.exports = {
+  TARGETS,
+  REASONS,
+  STATUSES,
+  MAX_DETAILS_LENGTH,
+  createReport,
+  getReport,
+  getReports,
+  getQuestionReports,
+  dismissReport,
+  hideReportedQuestion
+};
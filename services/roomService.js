@@ -1,9 +1,18 @@
-const { getDb } = require('./firebaseService');
+const { getStorage } = require('./firebaseService');
 const { v4: uuidv4 } = require('uuid');
 const gameService = require('./gameService');
+const packService = require('./packService');
+const permissionService = require('./permissionService');
+const contentFilterService = require('./contentFilterService');
+const questionStatsService = require('./questionStatsService');
+const teamService = require('./teamService');
+const gameModes = require('./gameModes');
+const { LIVE_SETTINGS } = require('./gameModes/settings');
+const { createError } = require('./i18nService');
 
 const COLLECTIONS = {
   ROOMS: 'rooms',
+  ROOM_SECRETS: 'roomSecrets',
   USERS: 'users',
   GAMES: 'games'
 };
@@ -24,21 +33,23 @@ const generateRoomCode = () => {
  * Check if room code already exists
  */
 const roomCodeExists = async (code) => {
-  const db = getDb();
-  const snapshot = await db.collection(COLLECTIONS.ROOMS)
-    .where('code', '==', code)
-    .where('status', '==', 'active')
-    .limit(1)
-    .get();
+  const storage = getStorage();
+  const rooms = await storage.find(COLLECTIONS.ROOMS, {
+    where: [
+      ['code', '==', code],
+      ['status', 'in', ['active', 'paused']]
+    ],
+    limit: 1
+  });
   
-  return !snapshot.empty;
+  return rooms.length > 0;
 };
 
 /**
  * Create a new room
  */
 const createRoom = async (roomData) => {
-  const db = getDb();
+  const storage = getStorage();
   let code = generateRoomCode();
   
   // Ensure code is unique
@@ -46,6 +57,8 @@ const createRoom = async (roomData) => {
     code = generateRoomCode();
   }
 
+  const gameMode = roomData.gameMode || gameModes.resolveModeId(null);
+
   const room = {
     id: uuidv4(),
     code: code,
@@ -54,27 +67,35 @@ const createRoom = async (roomData) => {
     hostName: roomData.hostName,
     gameId: roomData.gameId,
     gameName: roomData.gameName,
+    gameMode: gameMode,
+    packIds: roomData.packIds || [],
     maxPlayers: parseInt(roomData.maxPlayers) || 10,
+    settings: gameModes.getRoomSettings({ gameMode, settings: roomData.settings }),
     players: [{
       userId: roomData.hostId,
       username: roomData.hostName,
       avatar: roomData.avatar || '',
+      maxRating: roomData.hostMaxRating || null,
       isHost: true,
       isActive: true,
       joinedAt: new Date().toISOString()
     }],
     selectedFriends: roomData.selectedFriends || [],
-    status: 'pending', // pending, active, completed, terminated
+    status: 'pending', // pending, active, paused, completed, terminated
+    phase: null, // set by the game mode once the game starts
     currentQuestion: null,
     questions: [],
     votes: {},
     currentPlayerTurn: null,
     answers: {},
+    scores: {},
+    ...gameModes.getMode(gameMode).createRoomState(roomData),
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 
-  await db.collection(COLLECTIONS.ROOMS).doc(room.id).set(room);
+  await storage.set(COLLECTIONS.ROOMS, room.id, room);
   return room;
 };
 
@@ -82,32 +103,24 @@ const createRoom = async (roomData) => {
  * Get room by code
  */
 const getRoomByCode = async (code) => {
-  const db = getDb();
-  const snapshot = await db.collection(COLLECTIONS.ROOMS)
-    .where('code', '==', code)
-    .where('status', 'in', ['pending', 'active'])
-    .limit(1)
-    .get();
-
-  if (snapshot.empty) {
-    return null;
-  }
+  const storage = getStorage();
+  const rooms = await storage.find(COLLECTIONS.ROOMS, {
+    where: [
+      ['code', '==', code],
+      ['status', 'in', ['pending', 'active', 'paused']]
+    ],
+    limit: 1
+  });
 
-  return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  return rooms[0] || null;
 };
 
 /**
  * Get room by ID
  */
 const getRoomById = async (roomId) => {
-  const db = getDb();
-  const doc = await db.collection(COLLECTIONS.ROOMS).doc(roomId).get();
-  
-  if (!doc.exists) {
-    return null;
-  }
-
-  return { id: doc.id, ...doc.data() };
+  const storage = getStorage();
+  return storage.get(COLLECTIONS.ROOMS, roomId);
 };
 
 /**
@@ -116,104 +129,161 @@ const getRoomById = async (roomId) => {
 const validateRoomCode = async (code) => {
   const room = await getRoomByCode(code);
   if (!room) {
-    return { valid: false, message: 'Room not found' };
+    return { valid: false, messageKey: 'rooms.notFound' };
   }
 
-  if (room.status !== 'pending' && room.status !== 'active') {
-    return { valid: false, message: 'Room is not available' };
+  if (!['pending', 'active', 'paused'].includes(room.status)) {
+    return { valid: false, messageKey: 'rooms.notAvailable' };
   }
 
   if (room.players.length >= room.maxPlayers) {
-    return { valid: false, message: 'Room is full' };
+    return { valid: false, messageKey: 'rooms.full' };
   }
 
   return { valid: true, room };
 };
 
 /**
- * Join room
+ * Apply a mutation to a room inside a transaction
+ * The mutator receives the latest copy of the room and returns the fields to
+ * change (or null to leave the room untouched). It can run more than once when
+ * another write lands first, so it must not have side effects. Every write
+ * bumps the room `version`.
+ *
+ * With `withSecrets`, the mutator also receives the room's secrets (hidden game
+ * state such as the lie in Two Truths and a Lie, kept out of the room document
+ * so it can never be broadcast) and returns `{ changes, secrets }`; returned
+ * secrets replace the stored ones.
  */
-const joinRoom = async (code, playerData) => {
-  const db = getDb();
-  const room = await getRoomByCode(code);
+const mutateRoom = async (roomId, mutator, { withSecrets = false } = {}) => {
+  const storage = getStorage();
 
-  if (!room) {
-    throw new Error('Room not found');
-  }
+  return storage.runTransaction(async (transaction) => {
+    const room = await transaction.get(COLLECTIONS.ROOMS, roomId);
 
-  // Check active players count
-  const activePlayers = room.players.filter(p => p.isActive !== false);
-  if (activePlayers.length >= room.maxPlayers) {
-    throw new Error('Room is full');
-  }
+    if (!room) {
+      throw createError('rooms.notFound');
+    }
 
-  // Check if player already in room (including inactive)
-  const existingPlayer = room.players.find(p => p.userId === playerData.userId);
-  if (existingPlayer && existingPlayer.isActive !== false) {
-    return room; // Already active in room
-  }
-  
-  // If player exists but is inactive, reactivate them
-  if (existingPlayer && existingPlayer.isActive === false) {
-    // Check if this player was the original host (before host was reassigned)
-    const wasOriginalHost = existingPlayer.isHost === true || (room.originalHostId && room.originalHostId === playerData.userId);
-    
-    room.players = room.players.map(p => {
-      if (p.userId === playerData.userId) {
+    let changes;
+    if (withSecrets) {
+      const { id, ...secrets } = (await transaction.get(COLLECTIONS.ROOM_SECRETS, roomId)) || {};
+      const result = mutator(room, secrets) || {};
+      if (result.secrets) {
+        transaction.set(COLLECTIONS.ROOM_SECRETS, roomId, result.secrets);
+      }
+      changes = result.changes;
+    } else {
+      changes = mutator(room);
+    }
+
+    if (!changes || Object.keys(changes).length === 0) {
+      return room;
+    }
+
+    const update = {
+      ...changes,
+      version: (room.version || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    transaction.update(COLLECTIONS.ROOMS, roomId, update);
+    return { ...room, ...update };
+  });
+};
+
+/**
+ * Build the changes that reactivate a player who left
+ * Restores host status if the player was the original host, and takes their
+ * current rating limit when given.
+ */
+const reactivatePlayer = (room, userId, playerData = {}) => {
+  const existingPlayer = room.players.find(p => p.userId === userId);
+
+  // Check if this player was the original host (before host was reassigned)
+  const wasOriginalHost = existingPlayer.isHost === true || (room.originalHostId && room.originalHostId === userId);
+
+  const changes = {
+    players: room.players.map(p => {
+      if (p.userId === userId) {
         return {
           ...p,
           isActive: true,
-          rejoinedAt: new Date().toISOString(),
           leftAt: null,
-          isHost: wasOriginalHost // Restore host status if they were the original host
+          rejoinedAt: new Date().toISOString(),
+          maxRating: playerData.maxRating || p.maxRating || null,
+          isHost: wasOriginalHost, // Restore host status if they were the original host
+          ...teamService.joinTeam(room, userId)
         };
       }
       // If rejoining player was original host, remove host status from current host
-      if (wasOriginalHost && p.isHost === true && p.userId !== playerData.userId) {
+      if (wasOriginalHost && p.isHost === true && p.userId !== userId) {
         return { ...p, isHost: false };
       }
       return p;
-    });
-    
-    // Restore hostId if rejoining player was original host
-    if (wasOriginalHost) {
-      room.hostId = playerData.userId;
-      // Clear originalHostId since host is back
-      room.originalHostId = null;
-    }
-    
-    room.updatedAt = new Date().toISOString();
-    const updateData = {
-      players: room.players,
-      updatedAt: room.updatedAt
-    };
-    if (wasOriginalHost) {
-      updateData.hostId = room.hostId;
-      updateData.originalHostId = null;
-    }
-    await db.collection(COLLECTIONS.ROOMS).doc(room.id).update(updateData);
-    return room;
-  }
-
-  // Add player to room
-  room.players.push({
-    userId: playerData.userId,
-    username: playerData.username,
-    avatar: playerData.avatar || '',
-    isHost: false,
-    isActive: true,
-    joinedAt: new Date().toISOString()
-  });
+    })
+  };
+
+  // A player coming back starts a fresh run of missed turns
+  if ((room.missedTurns || {})[userId]) {
+    changes.missedTurns = { ...room.missedTurns, [userId]: 0 };
+  }
 
-  room.updatedAt = new Date().toISOString();
+  // Restore hostId if rejoining player was original host and clear
+  // originalHostId since host is back
+  if (wasOriginalHost) {
+    changes.hostId = userId;
+    changes.originalHostId = null;
+  }
+
+  return changes;
+};
 
-  await db.collection(COLLECTIONS.ROOMS).doc(room.id).update({
-    players: room.players,
-    updatedAt: room.updatedAt
+/**
+ * Join room
+ */
+const joinRoom = async (code, playerData) => {
+  const room = await getRoomByCode(code);
+
+  if (!room) {
+    throw createError('rooms.notFound');
+  }
+
+  const updatedRoom = await mutateRoom(room.id, (current) => {
+    // Check active players count
+    const activePlayers = current.players.filter(p => p.isActive !== false);
+    if (activePlayers.length >= current.maxPlayers) {
+      throw createError('rooms.full');
+    }
+
+    // Check if player already in room (including inactive)
+    const existingPlayer = current.players.find(p => p.userId === playerData.userId);
+    if (existingPlayer && existingPlayer.isActive !== false) {
+      return null; // Already active in room
+    }
+
+    // If player exists but is inactive, reactivate them
+    if (existingPlayer) {
+      return reactivatePlayer(current, playerData.userId, playerData);
+    }
+
+    // Add player to room (a spectator joining stops watching)
+    return {
+      ...withoutSpectator(current, playerData.userId),
+      players: [...current.players, {
+        userId: playerData.userId,
+        username: playerData.username,
+        avatar: playerData.avatar || '',
+        maxRating: playerData.maxRating || null,
+        isHost: false,
+        isActive: true,
+        joinedAt: new Date().toISOString(),
+        ...teamService.joinTeam(current, playerData.userId)
+      }]
+    };
   });
 
   // Check if room is now full and should auto-start
-  const updatedRoom = await getRoomById(room.id);
   const activePlayersCount = updatedRoom.players.filter(p => p.isActive !== false).length;
   const isFull = activePlayersCount >= updatedRoom.maxPlayers;
   const isPending = updatedRoom.status === 'pending';
@@ -226,21 +296,26 @@ const joinRoom = async (code, playerData) => {
 };
 
 /**
- * Leave room - Mark player as inactive instead of removing
+ * Leave room - Mark player as inactive instead of removing (spectators just
+ * stop watching)
  */
 const leaveRoom = async (roomId, userId) => {
-  const db = getDb();
-  const room = await getRoomById(roomId);
-
-  if (!room) {
-    throw new Error('Room not found');
-  }
+  return mutateRoom(roomId, (room) => (room.players.some(p => p.userId === userId)
+    ? deactivatePlayer(room, userId)
+    : withoutSpectator(room, userId)));
+};
 
+/**
+ * Build the changes that mark a player inactive (left, or idle for too long)
+ * Hands host over to another active player if needed.
+ */
+const deactivatePlayer = (room, userId, extra = {}) => {
   // Mark player as inactive instead of removing
-  room.players = room.players.map(p => {
+  let players = room.players.map(p => {
     if (p.userId === userId) {
       return {
         ...p,
+        ...extra,
         isActive: false,
         leftAt: new Date().toISOString()
       };
@@ -249,19 +324,18 @@ const leaveRoom = async (roomId, userId) => {
   });
 
   // Get active players count
-  const activePlayers = room.players.filter(p => p.isActive !== false);
-  
-  room.updatedAt = new Date().toISOString();
+  const activePlayers = players.filter(p => p.isActive !== false);
+
+  let hostId = room.hostId;
+  let originalHostId = room.originalHostId || null;
 
   // If host leaves, assign new host from active players
   if (room.hostId === userId && activePlayers.length > 0) {
-    // Store original host ID before reassigning
-    const originalHostId = userId;
     const newHost = activePlayers.find(p => p.userId !== userId) || activePlayers[0];
     if (newHost) {
-      room.hostId = newHost.userId;
-      room.originalHostId = originalHostId; // Store original host ID for rejoining
-      room.players = room.players.map(p => {
+      hostId = newHost.userId;
+      originalHostId = userId; // Store original host ID for rejoining
+      players = players.map(p => {
         if (p.userId === newHost.userId) {
           return { ...p, isHost: true };
         }
@@ -273,312 +347,743 @@ const leaveRoom = async (roomId, userId) => {
     }
   }
 
-  // If no active players left, terminate room
-  if (activePlayers.length === 0) {
-    room.status = 'terminated';
-  }
+  return {
+    players,
+    hostId,
+    originalHostId,
+    // If no active players left, terminate room
+    status: activePlayers.length === 0 ? 'terminated' : room.status
+  };
+};
+
+/**
+ * Rejoin room - Reactivate a player who left
+ */
+const rejoinRoom = async (roomId, userId, playerData) => {
+  return mutateRoom(roomId, (room) => {
+    if (room.status === 'terminated' || room.status === 'completed') {
+      throw createError('rooms.noLongerAvailable');
+    }
+
+    // Check active players count
+    const activePlayers = room.players.filter(p => p.isActive !== false);
+    if (activePlayers.length >= room.maxPlayers) {
+      throw createError('rooms.full');
+    }
+
+    // Check if player was previously in the room
+    const existingPlayer = room.players.find(p => p.userId === userId);
+
+    if (existingPlayer) {
+      return reactivatePlayer(room, userId, playerData);
+    }
 
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-    players: room.players,
-    hostId: room.hostId,
-    status: room.status,
-    updatedAt: room.updatedAt
+    // Add as new player if not previously in room
+    return {
+      ...withoutSpectator(room, userId),
+      players: [...room.players, {
+        userId: userId,
+        username: playerData.username,
+        avatar: playerData.avatar || '',
+        maxRating: playerData.maxRating || null,
+        isHost: false,
+        isActive: true,
+        joinedAt: new Date().toISOString(),
+        ...teamService.joinTeam(room, userId)
+      }]
+    };
   });
+};
 
-  return room;
+/**
+ * Update room status
+ */
+const updateRoomStatus = async (roomId, status) => {
+  await mutateRoom(roomId, () => ({ status: status }));
 };
 
 /**
- * Rejoin room - Reactivate a player who left
+ * Update room fields
  */
-const rejoinRoom = async (roomId, userId, playerData) => {
-  const db = getDb();
-  const room = await getRoomById(roomId);
+const updateRoom = async (roomId, data) => {
+  return mutateRoom(roomId, () => data);
+};
 
-  if (!room) {
-    throw new Error('Room not found');
-  }
+/**
+ * Update room settings (host only, before the game starts - LIVE_SETTINGS
+ * while it is played too)
+ * Settings not given keep their current value. Turning spectating off sends
+ * the spectators away; the room comes back with their IDs in
+ * `removedSpectators`.
+ */
+const updateSettings = async (roomId, userId, settings) => {
+  let removedSpectators = [];
+
+  const updatedRoom = await mutateRoom(roomId, (room) => {
+    removedSpectators = [];
+
+    if (!permissionService.isRoomHost(room, userId)) {
+      throw createError('rooms.hostOnlySettings');
+    }
+
+    const onlyLive = Object.keys(settings).every(key => LIVE_SETTINGS.includes(key));
+    if (room.status !== 'pending' && !(['active', 'paused'].includes(room.status) && onlyLive)) {
+      throw createError('rooms.settingsLocked', { live: LIVE_SETTINGS.join(', ') });
+    }
+
+    const current = gameModes.getRoomSettings(room);
+    const changes = {
+      settings: gameModes.getRoomSettings({ ...room, settings: { ...current, ...settings } })
+    };
+
+    if (!changes.settings.allowSpectators && (room.spectators || []).length > 0) {
+      removedSpectators = room.spectators.map(s => s.userId);
+      changes.spectators = [];
+    }
+
+    return changes;
+  });
+
+  return { ...updatedRoom, removedSpectators };
+};
+
+/**
+ * Changes that drop a user from a room's spectators (nothing when they are
+ * not watching)
+ */
+const withoutSpectator = (room, userId) => {
+  const spectators = room.spectators || [];
+  return spectators.some(s => s.userId === userId)
+    ? { spectators: spectators.filter(s => s.userId !== userId) }
+    : {};
+};
+
+/**
+ * Number of users watching a room
+ */
+const getSpectatorCount = (room) => ((room && room.spectators) || []).length;
 
-  if (room.status === 'terminated' || room.status === 'completed') {
-    throw new Error('Room is no longer available');
+/**
+ * Check a user may watch a room - it is still open, allows spectators and
+ * they do not play in it
+ */
+const checkCanSpectate = (room, userId) => {
+  if (!['pending', 'active', 'paused'].includes(room.status)) {
+    throw createError('rooms.noLongerAvailable');
   }
 
-  // Check active players count
-  const activePlayers = room.players.filter(p => p.isActive !== false);
-  if (activePlayers.length >= room.maxPlayers) {
-    throw new Error('Room is full');
+  if (!gameModes.getRoomSettings(room).allowSpectators) {
+    throw createError('rooms.spectatingDisabled');
   }
 
-  // Check if player was previously in the room
-  const existingPlayer = room.players.find(p => p.userId === userId);
-  
-  if (existingPlayer) {
-    // Check if this player was the original host (before host was reassigned)
-    const wasOriginalHost = existingPlayer.isHost === true || (room.originalHostId && room.originalHostId === userId);
-    
-    // Reactivate the player
-    room.players = room.players.map(p => {
-      if (p.userId === userId) {
-        return {
-          ...p,
-          isActive: true,
-          leftAt: null,
-          rejoinedAt: new Date().toISOString(),
-          isHost: wasOriginalHost // Restore host status if they were the original host
-        };
-      }
-      // If rejoining player was original host, remove host status from current host
-      if (wasOriginalHost && p.isHost === true && p.userId !== userId) {
-        return { ...p, isHost: false };
-      }
-      return p;
-    });
-    
-    // Restore hostId if rejoining player was original host
-    if (wasOriginalHost) {
-      room.hostId = userId;
-      // Clear originalHostId since host is back
-      room.originalHostId = null;
-    }
-  } else {
-    // Add as new player if not previously in room
-    room.players.push({
-      userId: userId,
-      username: playerData.username,
-      avatar: playerData.avatar || '',
-      isHost: false,
-      isActive: true,
-      joinedAt: new Date().toISOString()
-    });
+  if (room.players.some(p => p.userId === userId)) {
+    throw createError('rooms.playerCannotSpectate');
   }
+};
 
-  room.updatedAt = new Date().toISOString();
+/**
+ * The room a user asks to watch - by its code, or by ID when the host invited
+ * them (`selectedFriends`) - once they may watch it
+ */
+const getRoomToWatch = async ({ code = null, roomId = null }, userId) => {
+  const room = code ? await getRoomByCode(code) : await getRoomById(roomId);
 
-  const updateData = {
-    players: room.players,
-    updatedAt: room.updatedAt
-  };
-  
-  // Only update hostId and originalHostId if they changed
-  if (existingPlayer && (existingPlayer.isHost === true || (room.originalHostId && room.originalHostId === userId))) {
-    updateData.hostId = room.hostId;
-    updateData.originalHostId = null;
+  if (!room) {
+    throw createError('rooms.notFound');
   }
 
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update(updateData);
+  if (!code && !(room.selectedFriends || []).includes(userId)) {
+    throw createError('rooms.notInvited');
+  }
 
+  checkCanSpectate(room, userId);
   return room;
 };
 
 /**
- * Update room status
+ * Watch a room without playing (see getRoomToWatch)
+ * Spectators get every broadcast but cannot act, and do not count towards
+ * `maxPlayers`. They are added when their socket joins the room and removed
+ * when it leaves or disconnects, so only connected spectators are counted.
  */
-const updateRoomStatus = async (roomId, status) => {
-  const db = getDb();
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-    status: status,
-    updatedAt: new Date().toISOString()
+const spectateRoom = async (target, spectator) => {
+  const room = await getRoomToWatch(target, spectator.userId);
+
+  return mutateRoom(room.id, (current) => {
+    checkCanSpectate(current, spectator.userId);
+
+    if ((current.spectators || []).some(s => s.userId === spectator.userId)) {
+      return null; // Already watching
+    }
+
+    return {
+      spectators: [...(current.spectators || []), {
+        userId: spectator.userId,
+        username: spectator.username,
+        avatar: spectator.avatar || '',
+        joinedAt: new Date().toISOString()
+      }]
+    };
+  });
+};
+
+/**
+ * Stop watching a room
+ */
+const stopSpectating = async (roomId, userId) => {
+  return mutateRoom(roomId, (room) => withoutSpectator(room, userId));
+};
+
+/**
+ * Clear the spectators of every open room - no socket is connected when the
+ * server starts, so any left are stale
+ */
+const clearSpectators = async () => {
+  const storage = getStorage();
+  const rooms = await storage.find(COLLECTIONS.ROOMS, {
+    where: [['status', 'in', ['pending', 'active', 'paused']]]
+  });
+
+  const watched = rooms.filter(room => (room.spectators || []).length > 0);
+  await Promise.all(watched.map(room => mutateRoom(room.id, () => ({ spectators: [] }))));
+  return watched.length;
+};
+
+/**
+ * Change a room's teams (host only, before the game starts)
+ * `buildChanges(room, language)` returns the team changes (see teamService).
+ */
+const mutateTeams = async (roomId, userId, buildChanges) => {
+  return mutateRoom(roomId, (room) => {
+    if (!permissionService.isRoomHost(room, userId)) {
+      throw createError('teams.hostOnly');
+    }
+
+    if (room.status !== 'pending') {
+      throw createError('teams.locked');
+    }
+
+    return buildChanges(room, gameModes.getRoomSettings(room).language);
   });
 };
 
+/**
+ * Split the room's active players into teams as the host chose -
+ * `[{ name, members: [userId] }]`
+ */
+const setTeams = async (roomId, userId, assignments) => {
+  return mutateTeams(roomId, userId, (room, language) => teamService.assignTeams(room, assignments, language));
+};
+
+/**
+ * Deal the room's active players out into `count` teams at random
+ */
+const balanceTeams = async (roomId, userId, count) => {
+  return mutateTeams(roomId, userId, (room, language) => teamService.balanceTeams(room, count, language));
+};
+
+/**
+ * Go back to playing one player at a time
+ */
+const clearTeams = async (roomId, userId) => {
+  return mutateTeams(roomId, userId, (room) => teamService.clearTeams(room));
+};
+
 /**
  * Start room game - Load questions and set first player turn
  */
 const startRoom = async (roomId) => {
-  const db = getDb();
   const room = await getRoomById(roomId);
 
   if (!room) {
-    throw new Error('Room not found');
+    throw createError('rooms.notFound');
   }
 
-  // Check active players count
-  const activePlayers = room.players.filter(p => p.isActive !== false);
-  if (activePlayers.length < 2) {
-    throw new Error('Need at least 2 active players to start');
-  }
+  // Load questions from game - the game mode decides how candidates are picked
+  const pool = await loadQuestionPool(roomId);
 
-  // Load questions from game
-  let questions = [];
-  if (room.gameId) {
-    try {
-      const game = await gameService.getGameById(room.gameId);
-      if (game && game.questions && Array.isArray(game.questions)) {
-        // Select 3 random questions for voting
-        const shuffled = [...game.questions].sort(() => 0.5 - Math.random());
-        questions = shuffled.slice(0, 3).map(q => ({
-          id: q.id || uuidv4(),
-          text: q.text,
-          difficulty: q.difficulty || 'medium'
-        }));
-      }
-    } catch (error) {
-      console.error('Error loading game questions:', error);
-      // Continue without questions - they can be loaded later
+  return mutateRoom(roomId, (current) => {
+    // Auto-start can fire from both REST and Socket.IO - only the first one wins
+    if (current.status !== 'pending') {
+      throw createError('rooms.alreadyStarted');
     }
-  }
 
-  // Select first player randomly from active players
-  const randomIndex = Math.floor(Math.random() * activePlayers.length);
-  const firstPlayer = activePlayers[randomIndex];
+    // Check active players count
+    const activePlayers = current.players.filter(p => p.isActive !== false);
+    if (activePlayers.length < 2) {
+      throw createError('rooms.notEnoughPlayers');
+    }
 
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-    status: 'active',
-    questions: questions,
-    currentPlayerTurn: firstPlayer.userId,
-    votes: {},
-    answers: {},
-    round: 1,
-    updatedAt: new Date().toISOString()
-  });
+    teamService.checkCanStart(current);
 
-  // Get updated room to return complete data
-  const updatedRoom = await getRoomById(roomId);
+    // Everything left out by the rating would leave the game without questions
+    if (pool.length > 0 && gameModes.getAllowedQuestions(current, pool).length === 0) {
+      throw createError('rooms.noAllowedQuestions', { rating: gameModes.getAllowedRating(current) });
+    }
 
-  return updatedRoom || { 
-    ...room, 
-    status: 'active',
-    questions: questions,
-    currentPlayerTurn: firstPlayer.userId,
-    round: 1
-  };
+    const changes = {
+      status: 'active',
+      ...getFirstTurn(current, activePlayers),
+      round: 1,
+      scores: {}
+    };
+    const turn = gameModes.startTurn({ ...current, ...changes }, pool);
+
+    return {
+      changes: { ...changes, ...turn.changes },
+      secrets: turn.secrets
+    };
+  }, { withSecrets: true });
 };
 
 /**
  * Set player turn
  */
 const setPlayerTurn = async (roomId, playerId) => {
-  const db = getDb();
+  return mutateRoom(roomId, (room) => {
+    if (room.status === 'paused') {
+      throw createError('rooms.paused');
+    }
+
+    // Verify player is in the room
+    const playerExists = room.players.some(p => p.userId === playerId);
+    if (!playerExists) {
+      throw createError('rooms.playerNotFound');
+    }
+
+    return { currentPlayerTurn: playerId };
+  });
+};
+
+/**
+ * Pause a running game
+ * The phase deadline is cleared and what was left of it kept in
+ * `phaseRemainingMs` (null when the phase has no deadline), so resuming picks
+ * the clock up where it stopped. Nobody can act until the game resumes.
+ */
+const pauseRoom = async (roomId, userId) => {
+  return mutateRoom(roomId, (room) => {
+    if (room.status !== 'active') {
+      throw createError(room.status === 'paused' ? 'rooms.alreadyPaused' : 'rooms.notActive');
+    }
+
+    return {
+      status: 'paused',
+      pausedAt: new Date().toISOString(),
+      pausedBy: userId,
+      phaseRemainingMs: room.phaseEndsAt ? Math.max(0, new Date(room.phaseEndsAt) - Date.now()) : null,
+      phaseEndsAt: null
+    };
+  });
+};
+
+/**
+ * Resume a paused game with the time its phase had left
+ * The pause does not count towards answering in time either.
+ */
+const resumeRoom = async (roomId) => {
+  return mutateRoom(roomId, (room) => {
+    if (room.status !== 'paused') {
+      throw createError('rooms.notPaused');
+    }
+
+    const now = Date.now();
+    const pausedMs = now - new Date(room.pausedAt);
+    const changes = {
+      status: 'active',
+      pausedAt: null,
+      pausedBy: null,
+      phaseRemainingMs: null,
+      phaseEndsAt: room.phaseRemainingMs === null || room.phaseRemainingMs === undefined
+        ? null
+        : new Date(now + room.phaseRemainingMs).toISOString()
+    };
+
+    if (room.questionSelectedAt) {
+      changes.questionSelectedAt = new Date(new Date(room.questionSelectedAt).getTime() + pausedMs).toISOString();
+    }
+
+    return changes;
+  });
+};
+
+/**
+ * Run the free text of an action through the room's content filter
+ * Returns the payload to play (masked when the room masks) - throws when the
+ * room rejects the text.
+ */
+const screenActionText = async (roomId, userId, actionName, payload) => {
   const room = await getRoomById(roomId);
+  const textFields = room ? gameModes.getActionTextFields(room, actionName) : [];
+  const fields = {};
+  textFields.forEach(field => {
+    if (payload[field] !== undefined) {
+      fields[field] = payload[field];
+    }
+  });
 
-  if (!room) {
-    throw new Error('Room not found');
+  if (Object.keys(fields).length === 0) {
+    return payload;
   }
 
-  // Verify player is in the room
-  const playerExists = room.players.some(p => p.userId === playerId);
-  if (!playerExists) {
-    throw new Error('Player not found in room');
+  const screened = await contentFilterService.screenFields(fields, {
+    mode: gameModes.getRoomSettings(room).profanityFilter,
+    source: contentFilterService.SOURCES.ANSWER,
+    userId,
+    roomId
+  });
+
+  if (screened.rejected) {
+    throw createError('moderation.textRejected', { field: screened.filtered[0].field });
   }
 
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-    currentPlayerTurn: playerId,
-    updatedAt: new Date().toISOString()
+  return { ...payload, ...screened.fields };
+};
+
+/**
+ * Perform a gameplay action (vote, answer, guess...) through the room's game mode
+ * Returns the updated room plus the events the mode wants broadcast.
+ */
+const performAction = async (roomId, userId, actionName, payload) => {
+  const screenedPayload = await screenActionText(roomId, userId, actionName, payload);
+  let outcome = null;
+
+  const room = await mutateRoom(roomId, (current, secrets) => {
+    outcome = gameModes.applyAction(current, userId, actionName, screenedPayload, secrets);
+    return { changes: outcome.changes, secrets: outcome.secrets };
+  }, { withSecrets: true });
+
+  return {
+    room,
+    events: await finishOutcome(outcome, `${actionName} in room ${roomId}`)
+  };
+};
+
+/**
+ * Run a mode outcome's writes outside the room (stats...) once the room change
+ * is committed, and collect every event to emit
+ */
+const finishOutcome = async (outcome, label) => {
+  const events = [...outcome.events];
+
+  if (outcome.afterCommit) {
+    try {
+      events.push(...((await outcome.afterCommit()) || []));
+    } catch (error) {
+      console.error(`Error finishing ${label}:`, error);
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Move the game on when a phase deadline passes
+ * Does nothing (returns null) if the room has moved on since the deadline was
+ * scheduled. Otherwise the mode decides: a new phase, or the end of the turn -
+ * recorded as missed when the current player sat idle.
+ */
+const expirePhase = async (roomId, phaseEndsAt) => {
+  let outcome = null;
+
+  const room = await mutateRoom(roomId, (current, secrets) => {
+    outcome = null;
+    if (current.status !== 'active' || !current.phaseEndsAt || current.phaseEndsAt !== phaseEndsAt) {
+      return null;
+    }
+
+    outcome = gameModes.expirePhase(current, secrets);
+    return outcome.rotate ? null : { changes: outcome.changes, secrets: outcome.secrets };
+  }, { withSecrets: true });
+
+  if (!outcome) {
+    return null;
+  }
+
+  const events = await finishOutcome(outcome, `${room.phase} deadline in room ${roomId}`);
+
+  if (!outcome.rotate) {
+    return { room, events, rotated: false };
+  }
+
+  const rotatedRoom = await rotatePlayerTurn(roomId, {
+    ifPhaseEndsAt: phaseEndsAt,
+    missedPlayerId: outcome.missedTurn ? room.currentPlayerTurn : null
   });
 
-  return { ...room, currentPlayerTurn: playerId };
+  if (!rotatedRoom) {
+    return null;
+  }
+
+  if (outcome.missedTurn) {
+    const missed = room.players.find(p => p.userId === room.currentPlayerTurn);
+    const missedPlayer = rotatedRoom.players.find(p => p.userId === room.currentPlayerTurn);
+    events.push({
+      event: 'turn_missed',
+      payload: {
+        userId: room.currentPlayerTurn,
+        username: missed ? missed.username : null,
+        missedTurns: (rotatedRoom.missedTurns || {})[room.currentPlayerTurn] || 0,
+        markedInactive: !!missedPlayer && missedPlayer.isActive === false
+      }
+    });
+  }
+
+  return { room: rotatedRoom, events, rotated: true };
 };
 
 /**
- * Select new questions for a turn
+ * Active rooms with a phase deadline (to pick their timers back up after a
+ * restart)
  */
-const selectNewQuestions = async (roomId) => {
-  const db = getDb();
+const getRoomsWithDeadlines = async () => {
+  const storage = getStorage();
+  const rooms = await storage.find(COLLECTIONS.ROOMS, {
+    where: [['status', '==', 'active']]
+  });
+  return rooms.filter(room => room.phaseEndsAt);
+};
+
+/**
+ * Events the room's mode emits when a turn starts (e.g. the Charades prompt,
+ * sent privately to the actor)
+ */
+const getTurnStartEvents = async (room) => {
+  if (!room || room.status !== 'active') {
+    return [];
+  }
+
+  const storage = getStorage();
+  const { id, ...secrets } = (await storage.get(COLLECTIONS.ROOM_SECRETS, room.id)) || {};
+  return gameModes.getTurnStartEvents(room, secrets);
+};
+
+/**
+ * Load the question pool of a room - its game's questions plus its packs',
+ * with their popularity across all rooms
+ * Candidates are drawn from it inside the room transaction, through the room's
+ * deck (see gameModes.startTurn).
+ */
+const loadQuestionPool = async (roomId) => {
   const room = await getRoomById(roomId);
 
   if (!room || !room.gameId) {
     return [];
   }
 
+  let questions = [];
   try {
     const game = await gameService.getGameById(room.gameId);
     if (game && game.questions && Array.isArray(game.questions)) {
-      // Select 3 random questions for voting
-      const shuffled = [...game.questions].sort(() => 0.5 - Math.random());
-      return shuffled.slice(0, 3).map(q => ({
-        id: q.id || uuidv4(),
-        text: q.text,
-        difficulty: q.difficulty || 'medium'
-      }));
+      questions = game.questions.filter(gameService.isQuestionActive);
     }
   } catch (error) {
     console.error('Error loading game questions:', error);
   }
 
-  return [];
+  try {
+    questions = [...questions, ...(await packService.getPackQuestions(room.packIds || []))];
+  } catch (error) {
+    console.error('Error loading question packs:', error);
+  }
+
+  try {
+    const popularity = await questionStatsService.getGamePopularity(room.gameId);
+    questions = questions.map(q => (popularity[q.id] === undefined ? q : { ...q, popularity: popularity[q.id] }));
+  } catch (error) {
+    console.error('Error loading question popularity:', error);
+  }
+
+  return questions;
 };
 
 /**
- * Rotate to next player turn - Select new questions and increment round
+ * The first player of a game - a random active player, or in team mode the
+ * first player of a random team
  */
-const rotatePlayerTurn = async (roomId) => {
-  const db = getDb();
-  const room = await getRoomById(roomId);
-
-  if (!room) {
-    throw new Error('Room not found');
+const getFirstTurn = (room, activePlayers) => {
+  if (teamService.isTeamRoom(room)) {
+    return { ...teamService.getFirstTurn(room), teamScores: {} };
   }
 
-  if (!room.players || room.players.length === 0) {
-    throw new Error('No players in room');
-  }
+  // Select first player randomly from active players
+  const randomIndex = Math.floor(Math.random() * activePlayers.length);
+  return { currentPlayerTurn: activePlayers[randomIndex].userId };
+};
 
-  // Check if game should end (round 10)
-  const currentRound = room.round || 1;
-  if (currentRound >= 10) {
-    // End the game
-    await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-      status: 'completed',
-      updatedAt: new Date().toISOString()
-    });
-    return { ...room, status: 'completed', gameEnded: true };
+/**
+ * The next player - the next active player, or in team mode the next team's
+ * next player (see teamService)
+ */
+const getNextTurn = (room) => {
+  if (teamService.isTeamRoom(room)) {
+    return teamService.getNextTurn(room);
   }
 
-  // Select new questions for the next turn
-  const newQuestions = await selectNewQuestions(roomId);
-
   // Filter to only active players for turn rotation
   const activePlayers = room.players.filter(p => p.isActive !== false);
-  
+
   if (activePlayers.length === 0) {
-    throw new Error('No active players in room');
+    throw createError('rooms.noActivePlayers');
   }
 
   // Find current player index in active players
   const currentIndex = activePlayers.findIndex(p => p.userId === room.currentPlayerTurn);
-  
+
   // Get next player (wrap around if at end)
-  const nextIndex = currentIndex >= 0 && currentIndex < activePlayers.length - 1 
-    ? currentIndex + 1 
+  const nextIndex = currentIndex >= 0 && currentIndex < activePlayers.length - 1
+    ? currentIndex + 1
     : 0;
-  
-  const nextPlayer = activePlayers[nextIndex];
-  const nextRound = currentRound + 1;
-
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-    currentPlayerTurn: nextPlayer.userId,
-    questions: newQuestions,
-    round: nextRound,
-    // Reset votes and answers for new turn
-    votes: {},
-    answers: {},
-    updatedAt: new Date().toISOString()
-  });
 
-  const updatedRoom = await getRoomById(roomId);
-  return updatedRoom || { 
-    ...room, 
-    currentPlayerTurn: nextPlayer.userId,
-    questions: newQuestions,
-    round: nextRound
-  };
+  return { currentPlayerTurn: activePlayers[nextIndex].userId };
+};
+
+/**
+ * Rotate to next player turn - Select new questions and increment round
+ * With `ifPhaseEndsAt`, only rotates if the room is still on that deadline
+ * (returns null otherwise). `missedPlayerId` records the turn as missed and
+ * marks the player inactive after too many in a row.
+ */
+const rotatePlayerTurn = async (roomId, { ifPhaseEndsAt = null, missedPlayerId = null } = {}) => {
+  // Load the questions the next turn draws from
+  const pool = await loadQuestionPool(roomId);
+  let movedOn = false;
+  let finishedTurn = null;
+
+  const updatedRoom = await mutateRoom(roomId, (current, secrets) => {
+    movedOn = false;
+    finishedTurn = null;
+
+    // A turn timer can fire after the room was terminated
+    if (current.status !== 'active') {
+      throw createError(current.status === 'paused' ? 'rooms.paused' : 'rooms.notActive');
+    }
+
+    if (ifPhaseEndsAt && current.phaseEndsAt !== ifPhaseEndsAt) {
+      movedOn = true;
+      return null;
+    }
+
+    if (!current.players || current.players.length === 0) {
+      throw createError('rooms.noPlayers');
+    }
+
+    const settings = gameModes.getRoomSettings(current);
+    const missed = {};
+    // The mode's last word on the turn (e.g. the Charades prompt that was played)
+    const ended = gameModes.endTurn(current, secrets);
+    const finished = { ...current, ...ended };
+    // What the players made of this turn's candidates, for the question stats
+    finishedTurn = questionStatsService.summarizeTurn(finished, gameModes.getPlayedQuestionId(finished));
+
+    // Idle turn - count it, and mark the player inactive after too many in a row
+    if (missedPlayerId) {
+      const missedTurns = ((current.missedTurns || {})[missedPlayerId] || 0) + 1;
+      missed.missedTurns = { ...(current.missedTurns || {}), [missedPlayerId]: missedTurns };
+      if (missedTurns >= settings.maxMissedTurns) {
+        Object.assign(missed, deactivatePlayer(current, missedPlayerId, { inactiveReason: 'idle' }));
+      }
+    }
+
+    // Check if game should end (last round played)
+    const currentRound = current.round || 1;
+    if (currentRound >= settings.rounds || missed.status === 'terminated') {
+      // End the game
+      return { changes: { ...ended, ...missed, status: missed.status || 'completed', phaseEndsAt: null } };
+    }
+
+    const changes = {
+      ...ended,
+      ...missed,
+      ...getNextTurn(current),
+      round: currentRound + 1
+    };
+    // Reset per-turn state (votes, answers, secrets...) for the new turn
+    const turn = gameModes.startTurn({ ...current, ...changes }, pool);
+
+    return {
+      changes: { ...changes, ...turn.changes },
+      secrets: turn.secrets
+    };
+  }, { withSecrets: true });
+
+  // The room moved past the deadline before it fired
+  if (movedOn) {
+    return null;
+  }
+
+  try {
+    await questionStatsService.recordTurn(finishedTurn);
+  } catch (error) {
+    console.error('Error recording question stats:', error);
+  }
+
+  return updatedRoom.status !== 'active'
+    ? { ...updatedRoom, gameEnded: true }
+    : updatedRoom;
+};
+
+/**
+ * Give a thumbs up or down to the question of a room's current or previous
+ * turn (members only)
+ * Returns the question's updated stats.
+ */
+const rateQuestion = async (roomId, userId, questionId, thumb) => {
+  const room = await getRoomById(roomId);
+
+  if (!room) {
+    throw createError('rooms.notFound');
+  }
+
+  if (!room.players.some(p => p.userId === userId)) {
+    throw createError('rooms.notMember');
+  }
+
+  const played = [gameModes.getPlayedQuestionId(room), room.previousQuestionId];
+  if (!questionId || !played.includes(questionId)) {
+    throw createError('play.notPlayedQuestion');
+  }
+
+  return questionStatsService.rateQuestion(room.gameId, questionId, userId, thumb);
+};
+
+/**
+ * Rank the room's players by score
+ * Tied players share a rank (1, 2, 2, 4).
+ */
+const buildScoreboard = (room) => {
+  const scores = room.scores || {};
+  const ranked = (room.players || [])
+    .map(p => ({
+      userId: p.userId,
+      username: p.username,
+      avatar: p.avatar || '',
+      isActive: p.isActive !== false,
+      ...(teamService.isTeamRoom(room) ? { teamId: p.teamId || null } : {}),
+      score: scores[p.userId] || 0
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return ranked.map(entry => ({
+    ...entry,
+    rank: ranked.findIndex(other => other.score === entry.score) + 1
+  }));
 };
 
 /**
  * Get user's rooms - Includes rooms where user was a player (even if they left)
  */
 const getUserRooms = async (userId) => {
-  const db = getDb();
+  const storage = getStorage();
   
   // Query rooms with status filter (exclude terminated)
   // Then filter and sort in memory for rooms where user was/is a player
-  const snapshot = await db.collection(COLLECTIONS.ROOMS)
-    .where('status', 'in', ['pending', 'active', 'completed'])
-    .get();
+  const rooms = await storage.find(COLLECTIONS.ROOMS, {
+    where: [['status', 'in', ['pending', 'active', 'paused', 'completed']]]
+  });
 
   // Filter rooms where the user is/was a player and sort by updatedAt
-  const userRooms = snapshot.docs
-    .map(doc => ({ id: doc.id, ...doc.data() }))
+  const userRooms = rooms
     .filter(room => {
       // Check if user is/was in the players array (including inactive players)
       return room.players && room.players.some(player => player.userId === userId);
@@ -606,25 +1111,15 @@ const getUserRooms = async (userId) => {
  * Delete/Terminate a room
  */
 const deleteRoom = async (roomId, userId) => {
-  const db = getDb();
-  const room = await getRoomById(roomId);
-
-  if (!room) {
-    throw new Error('Room not found');
-  }
-
-  // Only host can delete the room
-  if (room.hostId !== userId) {
-    throw new Error('Only the host can delete this room');
-  }
+  return mutateRoom(roomId, (room) => {
+    // Only host can delete the room
+    if (!permissionService.isRoomHost(room, userId)) {
+      throw createError('rooms.hostOnlyDelete');
+    }
 
-  // Update room status to terminated
-  await db.collection(COLLECTIONS.ROOMS).doc(roomId).update({
-    status: 'terminated',
-    updatedAt: new Date().toISOString()
+    // Update room status to terminated
+    return { status: 'terminated' };
   });
-
-  return { ...room, status: 'terminated' };
 };
 
 module.exports = {
@@ -637,9 +1132,27 @@ module.exports = {
   rejoinRoom,
   deleteRoom,
   updateRoomStatus,
+  updateRoom,
+  updateSettings,
+  getRoomToWatch,
+  spectateRoom,
+  stopSpectating,
+  clearSpectators,
+  getSpectatorCount,
+  setTeams,
+  balanceTeams,
+  clearTeams,
   startRoom,
   setPlayerTurn,
+  pauseRoom,
+  resumeRoom,
+  performAction,
+  expirePhase,
+  getRoomsWithDeadlines,
+  getTurnStartEvents,
   rotatePlayerTurn,
+  rateQuestion,
+  buildScoreboard,
   getUserRooms,
   generateRoomCode
 };
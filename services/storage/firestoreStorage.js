@@ -0,0 +1,117 @@
+const admin = require('firebase-admin');
+
+/**
+ * Firestore storage backend
+ * Thin adapter that maps the storage document API onto Firestore.
+ */
+
+// Firestore limits `in` queries to 30 values
+const IN_QUERY_LIMIT = 30;
+
+const toDoc = (doc) => ({ id: doc.id, ...doc.data() });
+
+const createFirestoreStorage = (db) => {
+  if (!db) {
+    throw new Error('Firestore storage requires an initialized Firestore instance');
+  }
+
+  const ref = (collection, id) => db.collection(collection).doc(id);
+
+  const get = async (collection, id) => {
+    const doc = await ref(collection, id).get();
+    return doc.exists ? toDoc(doc) : null;
+  };
+
+  const getMany = async (collection, ids) => {
+    const results = [];
+    for (let i = 0; i < ids.length; i += IN_QUERY_LIMIT) {
+      const chunk = ids.slice(i, i + IN_QUERY_LIMIT);
+      const snapshot = await db.collection(collection)
+        .where(admin.firestore.FieldPath.documentId(), 'in', chunk)
+        .get();
+      results.push(...snapshot.docs.map(toDoc));
+    }
+    return results;
+  };
+
+  const find = async (collection, { where = [], orderBy, limit } = {}) => {
+    let query = db.collection(collection);
+
+    where.forEach(([field, op, value]) => {
+      const path = field === 'id' ? admin.firestore.FieldPath.documentId() : field;
+      query = query.where(path, op, value);
+    });
+
+    if (orderBy) {
+      query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+    }
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(toDoc);
+  };
+
+  const add = async (collection, data) => {
+    const docRef = await db.collection(collection).add(data);
+    return docRef.id;
+  };
+
+  const set = async (collection, id, data, { merge = false } = {}) => {
+    await ref(collection, id).set(data, { merge });
+  };
+
+  const update = async (collection, id, data) => {
+    await ref(collection, id).update(data);
+  };
+
+  const remove = async (collection, id) => {
+    await ref(collection, id).delete();
+  };
+
+  const batch = () => {
+    const writeBatch = db.batch();
+    return {
+      set: (collection, id, data, { merge = false } = {}) => writeBatch.set(ref(collection, id), data, { merge }),
+      update: (collection, id, data) => writeBatch.update(ref(collection, id), data),
+      delete: (collection, id) => writeBatch.delete(ref(collection, id)),
+      commit: () => writeBatch.commit()
+    };
+  };
+
+  /**
+   * Run a Firestore transaction - Firestore retries the function itself when a
+   * document read inside it changes before commit
+   */
+  const runTransaction = (fn, { maxAttempts = 5 } = {}) => {
+    return db.runTransaction(async (firestoreTransaction) => {
+      const transaction = {
+        get: async (collection, id) => {
+          const doc = await firestoreTransaction.get(ref(collection, id));
+          return doc.exists ? toDoc(doc) : null;
+        },
+        set: (collection, id, data, { merge = false } = {}) => firestoreTransaction.set(ref(collection, id), data, { merge }),
+        update: (collection, id, data) => firestoreTransaction.update(ref(collection, id), data),
+        delete: (collection, id) => firestoreTransaction.delete(ref(collection, id))
+      };
+      return fn(transaction);
+    }, { maxAttempts });
+  };
+
+  return {
+    driver: 'firestore',
+    get,
+    getMany,
+    find,
+    add,
+    set,
+    update,
+    delete: remove,
+    batch,
+    runTransaction
+  };
+};
+
+module.exports = createFirestoreStorage;
@@ -0,0 +1,64 @@
+const createMemoryStorage = require('./memoryStorage');
+const createFirestoreStorage = require('./firestoreStorage');
+
+/**
+ * Storage layer
+ *
+ * Services talk to a storage backend instead of raw Firestore so the server can
+ * run against Firestore in production or an in-memory store for local
+ * development and CI. Every backend exposes the same document API:
+ *
+ *   get(collection, id)                  -> { id, ...data } | null
+ *   getMany(collection, ids)             -> [{ id, ...data }]
+ *   find(collection, { where, orderBy, limit })
+ *                                        -> [{ id, ...data }]
+ *   add(collection, data)                -> id
+ *   set(collection, id, data, { merge }) -> void
+ *   update(collection, id, data)         -> void (throws if missing)
+ *   delete(collection, id)               -> void
+ *   batch()                              -> { set, update, delete, commit }
+ *   runTransaction(fn, { maxAttempts })  -> result of fn(transaction)
+ *
+ * `where` is a list of [field, op, value] tuples using Firestore operators
+ * (==, !=, <, <=, >, >=, in, not-in, array-contains, array-contains-any).
+ * `orderBy` is { field, direction } with direction 'asc' or 'desc'.
+ * `update` accepts dotted field paths (e.g. 'answers.userId').
+ *
+ * Inside runTransaction, `transaction.get` must come before any write and the
+ * function may run more than once when a document it read changes concurrently,
+ * so it must not have side effects outside the transaction.
+ */
+
+const DRIVERS = {
+  FIRESTORE: 'firestore',
+  MEMORY: 'memory'
+};
+
+/**
+ * Resolve the configured storage driver name
+ */
+const getDriverName = () => {
+  const driver = (process.env.STORAGE_DRIVER || DRIVERS.FIRESTORE).trim().toLowerCase();
+
+  if (!Object.values(DRIVERS).includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.values(DRIVERS).join(' or ')})`);
+  }
+
+  return driver;
+};
+
+/**
+ * Create a storage backend for the given driver
+ */
+const createStorage = (driver, options = {}) => {
+  if (driver === DRIVERS.MEMORY) {
+    return createMemoryStorage();
+  }
+  return createFirestoreStorage(options.db);
+};
+
+module.exports = {
+  DRIVERS,
+  getDriverName,
+  createStorage
+};
@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * In-memory storage backend
+ * Keeps every collection in process memory. Used for local development and CI
+ * without Firebase credentials - all data is lost when the process exits.
+ */
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+/**
+ * Read a (possibly dotted) field path from a document
+ */
+const getField = (data, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+/**
+ * Write a (possibly dotted) field path on a document
+ */
+const setField = (data, path, value) => {
+  const keys = path.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Evaluate a single where clause against a document (Firestore semantics:
+ * documents missing the field never match)
+ */
+const matches = (doc, [field, op, expected]) => {
+  const value = field === 'id' ? doc.id : getField(doc.data, field);
+
+  if (value === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case '==': return isEqual(value, expected);
+    case '!=': return !isEqual(value, expected);
+    case '<': return value < expected;
+    case '<=': return value <= expected;
+    case '>': return value > expected;
+    case '>=': return value >= expected;
+    case 'in': return expected.some(e => isEqual(value, e));
+    case 'not-in': return !expected.some(e => isEqual(value, e));
+    case 'array-contains': return Array.isArray(value) && value.some(v => isEqual(v, expected));
+    case 'array-contains-any': return Array.isArray(value) && value.some(v => expected.some(e => isEqual(v, e)));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+// Attempts before an optimistic transaction gives up. Higher than Firestore's
+// default because nothing here locks documents - a full lobby joining at once
+// can need one retry per player.
+const MAX_TRANSACTION_ATTEMPTS = 25;
+
+const createMemoryStorage = () => {
+  const collections = new Map(); // collection name -> Map(id -> data)
+  const revisions = new Map(); // 'collection/id' -> write counter, used to detect conflicts
+
+  const revisionKey = (collection, id) => `${collection}/${id}`;
+  const getRevision = (collection, id) => revisions.get(revisionKey(collection, id)) || 0;
+  const bumpRevision = (collection, id) => {
+    revisions.set(revisionKey(collection, id), getRevision(collection, id) + 1);
+  };
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  const toDoc = (id, data) => ({ id, ...clone(data) });
+
+  const get = async (collection, id) => {
+    const data = getCollection(collection).get(id);
+    return data ? toDoc(id, data) : null;
+  };
+
+  const getMany = async (collection, ids) => {
+    const docs = getCollection(collection);
+    return ids
+      .filter(id => docs.has(id))
+      .map(id => toDoc(id, docs.get(id)));
+  };
+
+  const find = async (collection, { where = [], orderBy, limit } = {}) => {
+    let results = Array.from(getCollection(collection).entries())
+      .map(([id, data]) => ({ id, data }))
+      .filter(doc => where.every(clause => matches(doc, clause)));
+
+    if (orderBy) {
+      const direction = orderBy.direction === 'desc' ? -1 : 1;
+      results = results
+        .filter(doc => getField(doc.data, orderBy.field) !== undefined)
+        .sort((a, b) => direction * compare(getField(a.data, orderBy.field), getField(b.data, orderBy.field)));
+    }
+
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+
+    return results.map(doc => toDoc(doc.id, doc.data));
+  };
+
+  // Synchronous writers - transactions apply them back to back so no other
+  // async work can interleave with a commit
+  const writeSet = (collection, id, data, { merge = false } = {}) => {
+    const docs = getCollection(collection);
+    const existing = merge ? docs.get(id) || {} : {};
+    docs.set(id, { ...existing, ...clone(data) });
+    bumpRevision(collection, id);
+  };
+
+  const writeUpdate = (collection, id, data) => {
+    const docs = getCollection(collection);
+    if (!docs.has(id)) {
+      throw new Error(`Document ${collection}/${id} not found`);
+    }
+    const next = clone(docs.get(id));
+    Object.entries(data).forEach(([path, value]) => setField(next, path, clone(value)));
+    docs.set(id, next);
+    bumpRevision(collection, id);
+  };
+
+  const writeDelete = (collection, id) => {
+    getCollection(collection).delete(id);
+    bumpRevision(collection, id);
+  };
+
+  const set = async (collection, id, data, options) => writeSet(collection, id, data, options);
+
+  const add = async (collection, data) => {
+    const id = uuidv4();
+    await set(collection, id, data);
+    return id;
+  };
+
+  const update = async (collection, id, data) => writeUpdate(collection, id, data);
+
+  const remove = async (collection, id) => writeDelete(collection, id);
+
+  /**
+   * Batched writes - queued and applied together on commit
+   */
+  const batch = () => {
+    const operations = [];
+    return {
+      set: (collection, id, data, options) => operations.push(() => set(collection, id, data, options)),
+      update: (collection, id, data) => operations.push(() => update(collection, id, data)),
+      delete: (collection, id) => operations.push(() => remove(collection, id)),
+      commit: async () => {
+        for (const operation of operations) {
+          await operation();
+        }
+      }
+    };
+  };
+
+  /**
+   * Optimistic transaction - remembers the revision of every document read and
+   * retries the whole function if any of them changed before commit
+   */
+  const runTransaction = async (fn, { maxAttempts = MAX_TRANSACTION_ATTEMPTS } = {}) => {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const reads = new Map();
+      const writes = [];
+
+      const transaction = {
+        get: async (collection, id) => {
+          reads.set(revisionKey(collection, id), getRevision(collection, id));
+          return get(collection, id);
+        },
+        set: (collection, id, data, options) => writes.push(() => writeSet(collection, id, data, options)),
+        update: (collection, id, data) => writes.push(() => writeUpdate(collection, id, data)),
+        delete: (collection, id) => writes.push(() => writeDelete(collection, id))
+      };
+
+      const result = await fn(transaction);
+
+      const conflict = Array.from(reads.entries())
+        .some(([key, revision]) => (revisions.get(key) || 0) !== revision);
+
+      if (!conflict) {
+        writes.forEach(write => write());
+        return result;
+      }
+    }
+
+    throw new Error('Transaction failed: too much contention on the same documents');
+  };
+
+  return {
+    driver: 'memory',
+    get,
+    getMany,
+    find,
+    add,
+    set,
+    update,
+    delete: remove,
+    batch,
+    runTransaction
+  };
+};
+
+module.exports = createMemoryStorage;
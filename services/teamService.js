@@ -0,0 +1,304 @@
+const { createError, translate } = require('./i18nService');
+
+/**
+ * Team mode
+ * The host splits a room's active players into teams before the game starts,
+ * by hand or by auto-balance. Teams are stored on the room (`teams`, each
+ * player's `teamId`); players joining later go to the smallest team.
+ *
+ * Turns go round the teams, then round the members of each team: team A's
+ * first player, team B's first player, team A's second player... Points a
+ * player scores also go to their team (`teamScores`).
+ *
+ * Everything here is pure - roomService applies it inside room transactions.
+ */
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 8;
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * Whether a room plays in teams
+ */
+const isTeamRoom = (room) => !!room && Array.isArray(room.teams) && room.teams.length > 0;
+
+const isActive = (player) => !!player && player.isActive !== false;
+
+/**
+ * The team a player is on (null outside team mode)
+ */
+const getPlayerTeamId = (room, userId) => {
+  if (!isTeamRoom(room)) {
+    return null;
+  }
+  const player = (room.players || []).find(p => p && p.userId === userId);
+  return player && room.teams.some(t => t.id === player.teamId) ? player.teamId : null;
+};
+
+/**
+ * Active members of a team, in the order they joined
+ */
+const getActiveMembers = (room, teamId) => (room.players || []).filter(p => isActive(p) && p.teamId === teamId);
+
+/**
+ * Check the number of teams asked for
+ */
+const checkTeamCount = (count) => {
+  if (!Number.isInteger(count) || count < MIN_TEAMS || count > MAX_TEAMS) {
+    throw createError('teams.count', { min: MIN_TEAMS, max: MAX_TEAMS });
+  }
+};
+
+/**
+ * Teams (and players) changes for a list of members per team - `names` are
+ * optional, missing ones are "Team 1", "Team 2"... in the room's language
+ */
+const toTeamChanges = (room, memberLists, names, language) => {
+  const teams = memberLists.map((members, index) => ({
+    id: `team-${index + 1}`,
+    name: names[index] || translate(language, 'teams.defaultName', { number: index + 1 })
+  }));
+
+  const teamByUser = {};
+  memberLists.forEach((members, index) => {
+    members.forEach(userId => {
+      teamByUser[userId] = teams[index].id;
+    });
+  });
+
+  return {
+    teams,
+    players: room.players.map(p => ({ ...p, teamId: teamByUser[p.userId] || null })),
+    teamScores: {},
+    teamTurns: {}
+  };
+};
+
+/**
+ * Room changes that split the active players as the host chose
+ * `assignments` is `[{ name, members: [userId] }]` - every active player on
+ * exactly one team, every team with at least one player.
+ */
+const assignTeams = (room, assignments, language) => {
+  checkTeamCount(Array.isArray(assignments) ? assignments.length : 0);
+
+  const activeIds = room.players.filter(isActive).map(p => p.userId);
+  const seen = new Set();
+
+  assignments.forEach(team => {
+    const name = typeof team.name === 'string' ? team.name.trim() : '';
+    if (team.name !== undefined && team.name !== null && (!name || name.length > MAX_NAME_LENGTH)) {
+      throw createError('teams.nameLength', { max: MAX_NAME_LENGTH });
+    }
+    if (!Array.isArray(team.members) || team.members.length === 0) {
+      throw createError('teams.empty');
+    }
+    team.members.forEach(userId => {
+      if (!activeIds.includes(userId)) {
+        throw createError('teams.notActivePlayer', { userId });
+      }
+      if (seen.has(userId)) {
+        throw createError('teams.playerTwice');
+      }
+      seen.add(userId);
+    });
+  });
+
+  const unassigned = activeIds.filter(userId => !seen.has(userId));
+  if (unassigned.length > 0) {
+    throw createError('teams.unassigned', { count: unassigned.length });
+  }
+
+  return toTeamChanges(
+    room,
+    assignments.map(team => team.members),
+    assignments.map(team => (typeof team.name === 'string' ? team.name.trim() : null)),
+    language
+  );
+};
+
+/**
+ * Room changes that deal the active players out into `count` teams at random,
+ * as evenly as possible (keeping the current team names)
+ */
+const balanceTeams = (room, count, language) => {
+  checkTeamCount(count);
+
+  const shuffled = room.players.filter(isActive).map(p => p.userId);
+  if (shuffled.length < count) {
+    throw createError('teams.tooFewPlayers', { count });
+  }
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const memberLists = Array.from({ length: count }, () => []);
+  shuffled.forEach((userId, index) => memberLists[index % count].push(userId));
+
+  const names = (room.teams || []).map(t => t.name);
+  return toTeamChanges(room, memberLists, names, language);
+};
+
+/**
+ * Room changes that turn team mode off
+ */
+const clearTeams = (room) => ({
+  teams: null,
+  players: room.players.map(({ teamId, ...player }) => player),
+  teamScores: {},
+  teamTurns: {}
+});
+
+/**
+ * Team fields for a player joining or coming back - they keep their team if
+ * it still exists, otherwise they go to the team with the fewest active
+ * players (nothing outside team mode)
+ */
+const joinTeam = (room, userId) => {
+  if (!isTeamRoom(room)) {
+    return {};
+  }
+
+  const current = getPlayerTeamId(room, userId);
+  if (current) {
+    return { teamId: current };
+  }
+
+  const sizes = room.teams.map(team => getActiveMembers(room, team.id).filter(p => p.userId !== userId).length);
+  return { teamId: room.teams[sizes.indexOf(Math.min(...sizes))].id };
+};
+
+/**
+ * Teams that have active players, in team order
+ */
+const getPlayingTeams = (room) => room.teams.filter(team => getActiveMembers(room, team.id).length > 0);
+
+/**
+ * Check a team room can start - at least two teams with active players
+ */
+const checkCanStart = (room) => {
+  if (isTeamRoom(room) && getPlayingTeams(room).length < MIN_TEAMS) {
+    throw createError('teams.notEnoughTeams', { min: MIN_TEAMS });
+  }
+};
+
+/**
+ * The first turn of a team game - the first player of a random team
+ */
+const getFirstTurn = (room) => {
+  const playing = getPlayingTeams(room);
+  const team = playing[Math.floor(Math.random() * playing.length)];
+  const player = getActiveMembers(room, team.id)[0];
+
+  return {
+    currentPlayerTurn: player.userId,
+    teamTurns: { [team.id]: player.userId }
+  };
+};
+
+/**
+ * The next turn of a team game - the next team with active players, and the
+ * member of that team after the one who last played for it
+ */
+const getNextTurn = (room) => {
+  const playing = getPlayingTeams(room).map(team => team.id);
+  if (playing.length === 0) {
+    throw createError('rooms.noActivePlayers');
+  }
+
+  // Count from the current team even when its players have all left
+  const currentIndex = room.teams.findIndex(team => team.id === getPlayerTeamId(room, room.currentPlayerTurn));
+  const order = [...room.teams.slice(currentIndex + 1), ...room.teams.slice(0, currentIndex + 1)];
+  const team = order.find(t => playing.includes(t.id));
+
+  const members = getActiveMembers(room, team.id);
+  const lastIndex = members.findIndex(p => p.userId === (room.teamTurns || {})[team.id]);
+  const player = members[(lastIndex + 1) % members.length];
+
+  return {
+    currentPlayerTurn: player.userId,
+    teamTurns: { ...(room.teamTurns || {}), [team.id]: player.userId }
+  };
+};
+
+/**
+ * Team scores after players score `points` (`{ [userId]: number }`) - null
+ * outside team mode
+ */
+const addTeamPoints = (room, points) => {
+  if (!isTeamRoom(room)) {
+    return null;
+  }
+
+  const teamScores = { ...(room.teamScores || {}) };
+  Object.entries(points).forEach(([userId, value]) => {
+    const teamId = getPlayerTeamId(room, userId);
+    if (teamId) {
+      teamScores[teamId] = (teamScores[teamId] || 0) + value;
+    }
+  });
+  return teamScores;
+};
+
+/**
+ * A room's teams with their members and scores, as sent to players (null
+ * outside team mode)
+ */
+const getTeams = (room) => {
+  if (!isTeamRoom(room)) {
+    return null;
+  }
+
+  return room.teams.map(team => ({
+    id: team.id,
+    name: team.name,
+    members: room.players.filter(p => p.teamId === team.id).map(p => p.userId),
+    score: (room.teamScores || {})[team.id] || 0
+  }));
+};
+
+/**
+ * Rank the room's teams by score (tied teams share a rank) - null outside
+ * team mode
+ */
+const buildTeamScoreboard = (room) => {
+  const teams = getTeams(room);
+  if (!teams) {
+    return null;
+  }
+
+  const ranked = teams
+    .map(team => ({
+      teamId: team.id,
+      name: team.name,
+      members: room.players
+        .filter(p => p.teamId === team.id)
+        .map(p => ({ userId: p.userId, username: p.username, isActive: isActive(p) })),
+      score: team.score
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return ranked.map(entry => ({
+    ...entry,
+    rank: ranked.findIndex(other => other.score === entry.score) + 1
+  }));
+};
+
+module.exports = {
+  MIN_TEAMS,
+  MAX_TEAMS,
+  MAX_NAME_LENGTH,
+  isTeamRoom,
+  getPlayerTeamId,
+  assignTeams,
+  balanceTeams,
+  clearTeams,
+  joinTeam,
+  checkCanStart,
+  getFirstTurn,
+  getNextTurn,
+  addTeamPoints,
+  getTeams,
+  buildTeamScoreboard
+};
@@ -1,11 +1,275 @@
 const roomService = require('../services/roomService');
 const authService = require('../services/authService');
+const i18nService = require('../services/i18nService');
+const contentFilterService = require('../services/contentFilterService');
+const reportService = require('../services/reportService');
+const teamService = require('../services/teamService');
+const gameModes = require('../services/gameModes');
+const { PERMISSIONS } = require('../services/permissionService');
+const { authorizeSocket } = require('../middleware/auth');
 
 // Store active socket connections
 const activeConnections = new Map(); // userId -> socketId
 const roomConnections = new Map(); // roomId -> Set of socketIds
+const phaseTimers = new Map(); // roomId -> timeout for the current phase deadline
+
+/**
+ * Emit game mode events - to a single player when `to` is set, otherwise to
+ * everyone in the room
+ */
+const emitGameEvents = (io, roomId, events) => {
+  events.forEach(({ event, payload, to }) => {
+    if (to) {
+      const socketId = activeConnections.get(to);
+      if (socketId) {
+        io.to(socketId).emit(event, payload);
+      }
+      return;
+    }
+    io.to(`room:${roomId}`).emit(event, payload);
+  });
+};
+
+/**
+ * The `room_state` sent to a user joining or watching a room
+ */
+const buildRoomState = (room, userId) => {
+  const publicRoom = gameModes.toPublicRoom(room);
+
+  // Make sure to include all room data including questions
+  return {
+    room: {
+      ...publicRoom,
+      questions: publicRoom.questions || [],
+      votes: publicRoom.votes || {},
+      answers: publicRoom.answers || {}
+    },
+    players: publicRoom.players,
+    currentQuestion: publicRoom.currentQuestion,
+    currentPlayerTurn: publicRoom.currentPlayerTurn,
+    questions: publicRoom.questions || [],
+    votes: publicRoom.votes || {},
+    answers: publicRoom.answers || {},
+    teams: teamService.getTeams(publicRoom),
+    teamId: teamService.getPlayerTeamId(publicRoom, userId),
+    spectatorCount: roomService.getSpectatorCount(room),
+    isSpectator: !(room.players || []).some(p => p && p.userId === userId)
+  };
+};
+
+/**
+ * Put a user's socket out of a room's broadcasts, telling them why (e.g. the
+ * host turned spectating off)
+ */
+const removeFromRoom = (io, roomId, userIds, messageKey) => {
+  userIds.forEach(userId => {
+    const socketId = activeConnections.get(userId);
+    if (!socketId) {
+      return;
+    }
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.leave(`room:${roomId}`);
+      if (socket.spectating) {
+        socket.spectating.delete(roomId);
+      }
+      socket.emit('removed_from_room', { roomId, message: socket.t(messageKey) });
+    }
+    if (roomConnections.has(roomId)) {
+      roomConnections.get(roomId).delete(socketId);
+    }
+  });
+};
+
+/**
+ * Broadcast the result of a turn rotation (new turn or game end)
+ */
+const broadcastTurnRotation = (io, roomId, rotatedRoom) => {
+  const updatedRoom = gameModes.toPublicRoom(rotatedRoom);
+
+  if (updatedRoom.gameEnded) {
+    // Game ended
+    cancelPhaseDeadline(roomId);
+    const scoreboard = roomService.buildScoreboard(updatedRoom);
+    const teamScoreboard = teamService.buildTeamScoreboard(updatedRoom);
+    const { rounds, language } = gameModes.getRoomSettings(updatedRoom);
+    // Room-wide messages are in the room's language
+    io.to(`room:${roomId}`).emit('game_ended', {
+      message: i18nService.translate(language, 'rooms.gameCompleted', { rounds }),
+      room: updatedRoom,
+      scoreboard: scoreboard,
+      winners: scoreboard.filter(entry => entry.rank === 1),
+      teamScoreboard,
+      winningTeams: teamScoreboard ? teamScoreboard.filter(entry => entry.rank === 1) : null
+    });
+    return;
+  }
+
+  // Broadcast new turn with new questions
+  io.to(`room:${roomId}`).emit('turn_rotated', {
+    room: updatedRoom,
+    questions: updatedRoom.questions || [],
+    currentPlayerTurn: updatedRoom.currentPlayerTurn,
+    round: updatedRoom.round,
+    scores: updatedRoom.scores || {},
+    teams: teamService.getTeams(updatedRoom),
+    currentTeamId: teamService.getPlayerTeamId(updatedRoom, updatedRoom.currentPlayerTurn)
+  });
+
+  // Also emit player_turn_changed for consistency
+  io.to(`room:${roomId}`).emit('player_turn_changed', {
+    playerId: updatedRoom.currentPlayerTurn,
+    room: updatedRoom
+  });
+
+  announceTurnStart(io, rotatedRoom);
+};
+
+/**
+ * Broadcast that a room's game has started
+ */
+const broadcastGameStarted = (io, startedRoom) => {
+  const updatedRoom = gameModes.toPublicRoom(startedRoom);
+
+  io.to(`room:${startedRoom.id}`).emit('game_started', {
+    room: updatedRoom,
+    questions: updatedRoom.questions || [],
+    currentPlayerTurn: updatedRoom.currentPlayerTurn,
+    round: updatedRoom.round || 1,
+    teams: teamService.getTeams(updatedRoom),
+    currentTeamId: teamService.getPlayerTeamId(updatedRoom, updatedRoom.currentPlayerTurn)
+  });
+
+  announceTurnStart(io, startedRoom);
+};
+
+/**
+ * Broadcast that the host paused a room's game - the phase timer stops, and
+ * `remainingMs` is what was left of the phase (null when it had no deadline)
+ */
+const broadcastGamePaused = (io, pausedRoom) => {
+  cancelPhaseDeadline(pausedRoom.id);
+
+  const pausedBy = (pausedRoom.players || []).find(p => p.userId === pausedRoom.pausedBy);
+  io.to(`room:${pausedRoom.id}`).emit('game_paused', {
+    pausedBy: pausedRoom.pausedBy,
+    username: pausedBy ? pausedBy.username : null,
+    phase: pausedRoom.phase,
+    remainingMs: pausedRoom.phaseRemainingMs,
+    room: gameModes.toPublicRoom(pausedRoom)
+  });
+};
+
+/**
+ * Broadcast that a paused game is running again, with the new phase deadline,
+ * and re-arm its timer
+ */
+const broadcastGameResumed = (io, resumedRoom) => {
+  const { phaseEndsAt } = resumedRoom;
+
+  io.to(`room:${resumedRoom.id}`).emit('game_resumed', {
+    phase: resumedRoom.phase,
+    phaseEndsAt,
+    remainingMs: phaseEndsAt ? Math.max(0, new Date(phaseEndsAt) - Date.now()) : null,
+    room: gameModes.toPublicRoom(resumedRoom)
+  });
+
+  schedulePhaseDeadline(io, resumedRoom);
+};
+
+/**
+ * Cancel a room's pending phase deadline
+ */
+const cancelPhaseDeadline = (roomId) => {
+  if (phaseTimers.has(roomId)) {
+    clearTimeout(phaseTimers.get(roomId));
+    phaseTimers.delete(roomId);
+  }
+};
+
+/**
+ * Arm the timer for the room's current phase deadline (one per room)
+ * The room document holds the deadline; the timer only wakes the server up.
+ */
+const schedulePhaseDeadline = (io, room) => {
+  cancelPhaseDeadline(room.id);
+
+  if (room.status !== 'active' || !room.phaseEndsAt) {
+    return;
+  }
+
+  const { id: roomId, phaseEndsAt } = room;
+  const delayMs = Math.max(0, new Date(phaseEndsAt) - Date.now());
+
+  phaseTimers.set(roomId, setTimeout(async () => {
+    phaseTimers.delete(roomId);
+    try {
+      const result = await roomService.expirePhase(roomId, phaseEndsAt);
+      if (!result) {
+        return; // The room moved on before the deadline
+      }
+
+      emitGameEvents(io, roomId, result.events);
+
+      if (result.rotated) {
+        broadcastTurnRotation(io, roomId, result.room);
+      } else {
+        io.to(`room:${roomId}`).emit('phase_expired', {
+          phase: result.room.phase,
+          phaseEndsAt: result.room.phaseEndsAt,
+          room: gameModes.toPublicRoom(result.room)
+        });
+        schedulePhaseDeadline(io, result.room);
+      }
+    } catch (error) {
+      console.error('Error handling phase deadline:', error);
+    }
+  }, delayMs));
+};
+
+/**
+ * Send the mode's turn start events (e.g. the Charades prompt, privately to the
+ * actor) and arm the first phase deadline of the turn
+ */
+const announceTurnStart = async (io, room) => {
+  schedulePhaseDeadline(io, room);
+
+  try {
+    const events = await roomService.getTurnStartEvents(room);
+    emitGameEvents(io, room.id, events);
+  } catch (error) {
+    console.error('Error starting turn:', error);
+  }
+};
+
+/**
+ * Re-arm the deadlines of rooms that were mid-game when the server stopped
+ */
+const resumePhaseDeadlines = async (io) => {
+  try {
+    const rooms = await roomService.getRoomsWithDeadlines();
+    rooms.forEach(room => schedulePhaseDeadline(io, room));
+  } catch (error) {
+    console.error('Error resuming phase deadlines:', error);
+  }
+};
+
+/**
+ * Spectators only count while their socket is connected - drop the ones left
+ * over from before a restart
+ */
+const resetSpectators = async () => {
+  try {
+    await roomService.clearSpectators();
+  } catch (error) {
+    console.error('Error clearing spectators:', error);
+  }
+};
 
 const initialize = (io) => {
+  resumePhaseDeadlines(io);
+  resetSpectators();
+
   // Authentication middleware for Socket.IO
   io.use(async (socket, next) => {
     try {
@@ -36,6 +300,15 @@ const initialize = (io) => {
 
       socket.userId = user.uid || user.id;
       socket.user = user;
+
+      // Messages to this socket use the profile locale, then the one the
+      // client asks for (auth.locale or Accept-Language)
+      socket.locale = i18nService.resolveLocale(
+        user.locale,
+        socket.handshake.auth.locale,
+        ...i18nService.parseAcceptLanguage(socket.handshake.headers['accept-language'])
+      );
+      socket.t = (message, params) => i18nService.localize(socket.locale, message, params);
       next();
     } catch (error) {
       next(new Error('Authentication error'));
@@ -48,28 +321,78 @@ const initialize = (io) => {
     // Store connection
     activeConnections.set(socket.userId, socket.id);
 
+    // Rooms this socket watches as a spectator
+    socket.spectating = new Set();
+
     /**
-     * Join room
+     * Watch a room the socket has joined - spectators get every broadcast but
+     * cannot vote, answer or take turns
+     */
+    const watchRoom = async (room, target) => {
+      try {
+        const watchedRoom = await roomService.spectateRoom(target, {
+          userId: socket.userId,
+          username: socket.user.displayName || socket.user.username || 'Anonymous',
+          avatar: socket.user.photoURL || ''
+        });
+        socket.spectating.add(room.id);
+
+        socket.to(`room:${room.id}`).emit('spectator_joined', {
+          userId: socket.userId,
+          username: socket.user.displayName || socket.user.username,
+          spectatorCount: roomService.getSpectatorCount(watchedRoom)
+        });
+        socket.emit('room_state', buildRoomState(watchedRoom, socket.userId));
+      } catch (error) {
+        socket.leave(`room:${room.id}`);
+        if (roomConnections.has(room.id)) {
+          roomConnections.get(room.id).delete(socket.id);
+        }
+        throw error;
+      }
+    };
+
+    /**
+     * Stop watching a room
+     */
+    const stopWatching = async (roomId) => {
+      socket.spectating.delete(roomId);
+      const room = await roomService.stopSpectating(roomId, socket.userId);
+
+      socket.to(`room:${roomId}`).emit('spectator_left', {
+        userId: socket.userId,
+        username: socket.user.displayName || socket.user.username,
+        spectatorCount: roomService.getSpectatorCount(room)
+      });
+    };
+
+    /**
+     * Join room (or watch it with `spectate: true`)
      */
     socket.on('join_room', async (data) => {
       try {
-        if (!data || !data.roomCode) {
-          socket.emit('error', { message: 'Room code is required' });
+        // Spectators invited by the host can come in by room ID
+        const byInvite = !!data && data.spectate === true && !!data.roomId;
+        if (!data || (!data.roomCode && !byInvite)) {
+          socket.emit('error', { message: socket.t('rooms.codeRequired') });
           return;
         }
 
         const { roomCode } = data;
-        const room = await roomService.getRoomByCode(roomCode);
+        const room = roomCode
+          ? await roomService.getRoomByCode(roomCode)
+          : await roomService.getRoomById(data.roomId);
 
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          socket.emit('error', { message: socket.t('rooms.notFound') });
           return;
         }
 
         // Check if user is in room (including inactive players)
         const isPlayer = room.players && room.players.some(p => p && p.userId === socket.userId);
-        if (!isPlayer) {
-          socket.emit('error', { message: 'You are not a member of this room' });
+        const isSpectator = (room.spectators || []).some(s => s.userId === socket.userId);
+        if (!isPlayer && !isSpectator && data.spectate !== true) {
+          socket.emit('error', { message: socket.t('rooms.notMember') });
           return;
         }
 
@@ -82,17 +405,26 @@ const initialize = (io) => {
         }
         roomConnections.get(room.id).add(socket.id);
 
+        if (!isPlayer) {
+          await watchRoom(room, roomCode ? { code: roomCode } : { roomId: room.id });
+          return;
+        }
+
         // Get fresh room data to check if it's full (in case player just joined via REST API)
         const currentRoom = await roomService.getRoomById(room.id);
         const isFull = currentRoom && currentRoom.players.length >= currentRoom.maxPlayers;
         const isPending = currentRoom && currentRoom.status === 'pending';
 
         // Notify others in room
+        const joinedRoom = currentRoom || room;
         socket.to(`room:${room.id}`).emit('player_joined', {
           userId: socket.userId,
           username: socket.user.displayName || socket.user.username,
-          room: currentRoom || room,
-          isFull: isFull
+          room: gameModes.toPublicRoom(joinedRoom),
+          isFull: isFull,
+          teamId: teamService.getPlayerTeamId(joinedRoom, socket.userId),
+          teams: teamService.getTeams(joinedRoom),
+          spectatorCount: roomService.getSpectatorCount(joinedRoom)
         });
 
         // Auto-start if room is full and pending (backup check in case REST API didn't trigger it)
@@ -101,12 +433,7 @@ const initialize = (io) => {
             const updatedRoom = await roomService.startRoom(room.id);
 
             // Broadcast game started event to all players
-            io.to(`room:${room.id}`).emit('game_started', {
-              room: updatedRoom,
-              questions: updatedRoom.questions || [],
-              currentPlayerTurn: updatedRoom.currentPlayerTurn,
-              round: updatedRoom.round || 1
-            });
+            broadcastGameStarted(io, updatedRoom);
 
             console.log(`🎮 Room ${roomCode} auto-started via Socket.IO - all players joined`);
           } catch (error) {
@@ -116,26 +443,12 @@ const initialize = (io) => {
         }
 
         // Send current room state to the joining user
-        // Make sure to include all room data including questions
-        socket.emit('room_state', {
-          room: {
-            ...room,
-            questions: room.questions || [],
-            votes: room.votes || {},
-            answers: room.answers || {}
-          },
-          players: room.players,
-          currentQuestion: room.currentQuestion,
-          currentPlayerTurn: room.currentPlayerTurn,
-          questions: room.questions || [],
-          votes: room.votes || {},
-          answers: room.answers || {}
-        });
+        socket.emit('room_state', buildRoomState(room, socket.userId));
 
         console.log(`👤 ${socket.userId} joined room ${roomCode}`);
       } catch (error) {
         console.error('Error joining room:', error);
-        socket.emit('error', { message: error.message });
+        socket.emit('error', { message: socket.t(error) });
       }
     });
 
@@ -155,6 +468,11 @@ const initialize = (io) => {
           }
         }
 
+        if (socket.spectating.has(roomId)) {
+          await stopWatching(roomId);
+          return;
+        }
+
         socket.to(`room:${roomId}`).emit('player_left', {
           userId: socket.userId,
           username: socket.user.displayName || socket.user.username
@@ -163,246 +481,91 @@ const initialize = (io) => {
         console.log(`👤 ${socket.userId} left room ${roomId}`);
       } catch (error) {
         console.error('Error leaving room:', error);
-        socket.emit('error', { message: error.message });
+        socket.emit('error', { message: socket.t(error) });
       }
     });
 
     /**
-     * Submit answer
+     * Gameplay actions (submit_vote, submit_answer, share_answer...)
+     * Dispatched to the room's game mode, which validates the action and
+     * decides what gets broadcast.
      */
-    socket.on('submit_answer', async (data) => {
-      try {
-        const { roomId, answer, questionId } = data;
-        const room = await roomService.getRoomById(roomId);
-
-        if (!room) {
-          socket.emit('error', { message: 'Room not found' });
-          return;
-        }
-
-        // Only the player whose turn it is can submit an answer
-        if (room.currentPlayerTurn !== socket.userId) {
-          socket.emit('error', { message: 'It is not your turn to answer' });
-          return;
-        }
-
-        // Update room with answer
-        const { getDb } = require('../services/firebaseService');
-        const db = getDb();
-        
-        const answers = room.answers || {};
-        answers[socket.userId] = {
-          answer: answer,
-          questionId: questionId,
-          submittedAt: new Date().toISOString()
-        };
-
-        await db.collection('rooms').doc(roomId).update({
-          answers: answers,
-          updatedAt: new Date().toISOString()
-        });
+    gameModes.getActionNames().forEach(actionName => {
+      socket.on(actionName, async (data) => {
+        try {
+          if (!data || !data.roomId) {
+            socket.emit('error', { message: socket.t('rooms.idRequired') });
+            return;
+          }
 
-        // Broadcast answer to all players in the room (including the submitter)
-        // Include the answer text directly for easy display
-        io.to(`room:${roomId}`).emit('answer_submitted', {
-          userId: socket.userId,
-          username: socket.user.displayName || socket.user.username,
-          answer: answer,
-          answerText: answer, // Explicit answer text for display
-          questionId: questionId,
-          playerTurn: room.currentPlayerTurn,
-          playerTurnId: room.currentPlayerTurn,
-          countdownStart: new Date().toISOString() // Timestamp for countdown start
-        });
+          const { roomId, ...payload } = data;
+          const { room, events } = await roomService.performAction(roomId, socket.userId, actionName, payload);
 
-        console.log(`📝 ${socket.userId} submitted answer in room ${roomId}`);
+          emitGameEvents(io, roomId, events);
 
-        // Broadcast countdown start event to viewers (20 seconds)
-        io.to(`room:${roomId}`).emit('viewer_countdown_start', {
-          duration: 20, // 20 seconds
-          startTime: new Date().toISOString()
-        });
+          // A new phase has a new deadline
+          schedulePhaseDeadline(io, room);
 
-        // After 20 seconds, rotate to next turn (give time for viewers to see the answer)
-        // Store timeout reference per room to prevent multiple timeouts
-        const timeoutKey = `turn_rotation_${roomId}`;
-        
-        // Clear any existing timeout for this room
-        if (global[timeoutKey]) {
-          clearTimeout(global[timeoutKey]);
+          console.log(`🎲 ${socket.userId} ${actionName} in room ${roomId}`);
+        } catch (error) {
+          console.error(`Error handling ${actionName}:`, error);
+          socket.emit('error', { message: socket.t(error) });
         }
-        
-        global[timeoutKey] = setTimeout(async () => {
-          try {
-            // Clear the timeout reference
-            delete global[timeoutKey];
-            
-            const updatedRoom = await roomService.rotatePlayerTurn(roomId);
-            
-            if (updatedRoom.gameEnded) {
-              // Game ended
-              io.to(`room:${roomId}`).emit('game_ended', {
-                message: 'Game completed! All 10 rounds finished.',
-                room: updatedRoom
-              });
-            } else {
-              // Broadcast new turn with new questions
-              io.to(`room:${roomId}`).emit('turn_rotated', {
-                room: updatedRoom,
-                questions: updatedRoom.questions || [],
-                currentPlayerTurn: updatedRoom.currentPlayerTurn,
-                round: updatedRoom.round
-              });
-              
-              // Also emit player_turn_changed for consistency
-              io.to(`room:${roomId}`).emit('player_turn_changed', {
-                playerId: updatedRoom.currentPlayerTurn,
-                room: updatedRoom
-              });
-            }
-          } catch (error) {
-            console.error('Error rotating turn:', error);
-            delete global[timeoutKey];
-          }
-        }, 20000); // 20 second delay before rotating turn
-
-      } catch (error) {
-        console.error('Error submitting answer:', error);
-        socket.emit('error', { message: error.message });
-      }
+      });
     });
 
     /**
-     * Submit vote
+     * Set current question (host only)
      */
-    socket.on('submit_vote', async (data) => {
+    socket.on('set_question', async (data) => {
       try {
-        const { roomId, questionId } = data;
+        const { roomId, question } = data;
         const room = await roomService.getRoomById(roomId);
 
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          socket.emit('error', { message: socket.t('rooms.notFound') });
           return;
         }
 
-        // Don't allow the player whose turn it is to vote
-        if (room.currentPlayerTurn === socket.userId) {
-          socket.emit('error', { message: 'You cannot vote - it is your turn to answer' });
+        if (!authorizeSocket(socket, PERMISSIONS.HOST_ROOM, { room, message: 'rooms.hostOnlySetQuestion' })) {
           return;
         }
 
-        // Update votes
-        const { getDb } = require('../services/firebaseService');
-        const db = getDb();
-        
-        const votes = room.votes || {};
-        if (!votes[questionId]) {
-          votes[questionId] = [];
-        }
-        
-        // Remove existing vote from this user (they can change their vote)
-        Object.keys(votes).forEach(qId => {
-          votes[qId] = votes[qId].filter(v => v.userId !== socket.userId);
-        });
-        
-        // Add new vote
-        votes[questionId].push({
-          userId: socket.userId,
-          username: socket.user.displayName || socket.user.username,
-          votedAt: new Date().toISOString()
-        });
-
-        await db.collection('rooms').doc(roomId).update({
-          votes: votes,
-          updatedAt: new Date().toISOString()
-        });
-
-        // Calculate vote counts
-        const voteCounts = {};
-        Object.keys(votes).forEach(qId => {
-          voteCounts[qId] = votes[qId].length;
-        });
-
-        // Get updated room to check voting completion
-        const updatedRoom = await roomService.getRoomById(roomId);
-        const votingPlayers = updatedRoom.players.filter(p => p.userId !== updatedRoom.currentPlayerTurn);
-        const totalVotes = Object.values(votes).reduce((sum, voteArray) => sum + voteArray.length, 0);
-        const votingComplete = totalVotes >= votingPlayers.length;
-
-        // Determine winning question if voting is complete
-        let winningQuestion = null;
-        if (votingComplete && Object.keys(voteCounts).length > 0) {
-          let maxVotes = 0;
-          let winningQuestionId = null;
-          Object.entries(voteCounts).forEach(([qId, count]) => {
-            if (count > maxVotes) {
-              maxVotes = count;
-              winningQuestionId = qId;
-            }
-          });
-          if (winningQuestionId && updatedRoom.questions) {
-            winningQuestion = updatedRoom.questions.find(q => q.id === winningQuestionId);
-          }
+        if (room.status === 'paused') {
+          socket.emit('error', { message: socket.t('rooms.paused') });
+          return;
         }
 
-        // Broadcast vote update
-        io.to(`room:${roomId}`).emit('vote_update', {
-          voteCounts: voteCounts,
-          votes: votes,
-          votingComplete: votingComplete,
-          winningQuestion: winningQuestion
+        // The host's own question goes through the room's content filter
+        const isObject = !!question && typeof question === 'object';
+        const { translations, ...fields } = isObject ? question : { text: question };
+        const screened = await contentFilterService.screenFields(gameModes.getQuestionTexts(fields), {
+          mode: gameModes.getRoomSettings(room).profanityFilter,
+          source: contentFilterService.SOURCES.QUESTION,
+          userId: socket.userId,
+          roomId
         });
 
-        // If voting is complete and winning question is determined, start countdown
-        if (votingComplete && winningQuestion) {
-          io.to(`room:${roomId}`).emit('question_selected', {
-            question: winningQuestion,
-            countdown: 60 // 60 seconds countdown
-          });
-        }
-
-        console.log(`🗳️ ${socket.userId} voted for question ${questionId} in room ${roomId}`);
-      } catch (error) {
-        console.error('Error submitting vote:', error);
-        socket.emit('error', { message: error.message });
-      }
-    });
-
-    /**
-     * Set current question (host only)
-     */
-    socket.on('set_question', async (data) => {
-      try {
-        const { roomId, question } = data;
-        const room = await roomService.getRoomById(roomId);
-
-        if (!room) {
-          socket.emit('error', { message: 'Room not found' });
-          return;
-        }
-
-        if (room.hostId !== socket.userId) {
-          socket.emit('error', { message: 'Only host can set questions' });
+        if (screened.rejected) {
+          socket.emit('error', { message: socket.t('moderation.textRejected', { field: screened.filtered[0].field }) });
           return;
         }
 
-        const { getDb } = require('../services/firebaseService');
-        const db = getDb();
+        const screenedQuestion = isObject ? { ...fields, ...screened.fields } : screened.fields.text || question;
 
-        await db.collection('rooms').doc(roomId).update({
-          currentQuestion: question,
-          updatedAt: new Date().toISOString()
+        await roomService.updateRoom(roomId, {
+          currentQuestion: screenedQuestion
         });
 
         // Broadcast question to all players
         io.to(`room:${roomId}`).emit('question_set', {
-          question: question
+          question: screenedQuestion
         });
 
         console.log(`❓ Host set question in room ${roomId}`);
       } catch (error) {
         console.error('Error setting question:', error);
-        socket.emit('error', { message: error.message });
+        socket.emit('error', { message: socket.t(error) });
       }
     });
 
@@ -415,158 +578,152 @@ const initialize = (io) => {
         const room = await roomService.getRoomById(roomId);
 
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          socket.emit('error', { message: socket.t('rooms.notFound') });
           return;
         }
 
-        if (room.hostId !== socket.userId) {
-          socket.emit('error', { message: 'Only host can set player turn' });
+        if (!authorizeSocket(socket, PERMISSIONS.HOST_ROOM, { room, message: 'rooms.hostOnlySetTurn' })) {
           return;
         }
 
-        const { getDb } = require('../services/firebaseService');
-        const db = getDb();
-
-        await db.collection('rooms').doc(roomId).update({
-          currentPlayerTurn: playerId,
-          updatedAt: new Date().toISOString()
-        });
+        // Same checks as the REST route (the player is in the room, the game is not paused)
+        const updatedRoom = await roomService.setPlayerTurn(roomId, playerId);
 
         // Broadcast player turn to all players
         io.to(`room:${roomId}`).emit('player_turn_changed', {
-          playerId: playerId
+          playerId: updatedRoom.currentPlayerTurn
         });
 
         console.log(`🔄 Player turn changed to ${playerId} in room ${roomId}`);
       } catch (error) {
         console.error('Error setting player turn:', error);
-        socket.emit('error', { message: error.message });
+        socket.emit('error', { message: socket.t(error) });
       }
     });
 
     /**
-     * Share answer - Simple broadcast to viewers (no automatic rotation)
+     * Next turn - Host controls when to move to next turn
      */
-    socket.on('share_answer', async (data) => {
+    socket.on('next_turn', async (data) => {
       try {
-        if (!data || !data.roomId || !data.answer) {
-          socket.emit('error', { message: 'Room ID and answer are required' });
+        const { roomId } = data;
+        
+        if (!roomId) {
+          socket.emit('error', { message: socket.t('rooms.idRequired') });
           return;
         }
 
-        const { roomId, answer } = data;
         const room = await roomService.getRoomById(roomId);
 
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          socket.emit('error', { message: socket.t('rooms.notFound') });
           return;
         }
 
-        // Only the player whose turn it is can share an answer
-        if (room.currentPlayerTurn !== socket.userId) {
-          socket.emit('error', { message: 'It is not your turn to answer' });
+        // Only host can trigger next turn (or the original host while away)
+        if (!authorizeSocket(socket, PERMISSIONS.ADVANCE_TURN, { room, message: 'rooms.hostOnlyNextTurn' })) {
           return;
         }
 
-        // Check if user is in room
-        const isPlayer = room.players && room.players.some(p => p && p.userId === socket.userId);
-        if (!isPlayer) {
-          socket.emit('error', { message: 'You are not a member of this room' });
+        // Rotate to next turn - the new turn gets its own deadlines
+        const updatedRoom = await roomService.rotatePlayerTurn(roomId);
+        
+        if (!updatedRoom) {
+          socket.emit('error', { message: socket.t('rooms.rotateFailed') });
           return;
         }
-
-        // Update room with answer
-        const { getDb } = require('../services/firebaseService');
-        const db = getDb();
         
-        const answers = room.answers || {};
-        answers[socket.userId] = {
-          answer: answer,
-          submittedAt: new Date().toISOString()
-        };
-
-        await db.collection('rooms').doc(roomId).update({
-          answers: answers,
-          updatedAt: new Date().toISOString()
-        });
+        broadcastTurnRotation(io, roomId, updatedRoom);
 
-        // Simple broadcast to all players in the room
-        io.to(`room:${roomId}`).emit('answer_shared', {
-          userId: socket.userId,
-          username: socket.user?.displayName || socket.user?.username || 'Unknown',
-          answer: answer,
-          answerText: answer,
-          timestamp: new Date().toISOString()
-        });
-
-        console.log(`📤 ${socket.userId} shared answer in room ${roomId}`);
+        console.log(`🔄 Host rotated turn in room ${roomId}`);
       } catch (error) {
-        console.error('Error sharing answer:', error);
-        socket.emit('error', { message: error.message || 'An error occurred while sharing answer' });
+        console.error('Error rotating turn:', error);
+        socket.emit('error', { message: error.message ? socket.t(error) : socket.t('rooms.rotateError') });
       }
     });
 
     /**
-     * Next turn - Host controls when to move to next turn
+     * Pause or resume the game (host only)
      */
-    socket.on('next_turn', async (data) => {
-      try {
-        const { roomId } = data;
-        
-        if (!roomId) {
-          socket.emit('error', { message: 'Room ID is required' });
-          return;
-        }
+    const onPauseToggle = (eventName, toggle, broadcast) => {
+      socket.on(eventName, async (data) => {
+        try {
+          const { roomId } = data || {};
 
-        const room = await roomService.getRoomById(roomId);
+          if (!roomId) {
+            socket.emit('error', { message: socket.t('rooms.idRequired') });
+            return;
+          }
 
-        if (!room) {
-          socket.emit('error', { message: 'Room not found' });
-          return;
-        }
+          const room = await roomService.getRoomById(roomId);
 
-        // Only host can trigger next turn - check both hostId and originalHostId
-        const isHost = room.hostId === socket.userId || room.originalHostId === socket.userId;
-        
-        if (!isHost) {
-          socket.emit('error', { message: 'Only the host can move to the next turn' });
-          return;
+          if (!room) {
+            socket.emit('error', { message: socket.t('rooms.notFound') });
+            return;
+          }
+
+          if (!authorizeSocket(socket, PERMISSIONS.HOST_ROOM, { room, message: 'rooms.hostOnlyPause' })) {
+            return;
+          }
+
+          broadcast(io, await toggle(roomId, socket.userId));
+        } catch (error) {
+          console.error(`Error handling ${eventName}:`, error);
+          socket.emit('error', { message: socket.t(error) });
         }
+      });
+    };
 
-        // Rotate to next turn
-        const updatedRoom = await roomService.rotatePlayerTurn(roomId);
-        
-        if (!updatedRoom) {
-          socket.emit('error', { message: 'Failed to rotate turn' });
+    onPauseToggle('pause_game', roomService.pauseRoom, broadcastGamePaused);
+    onPauseToggle('resume_game', roomService.resumeRoom, broadcastGameResumed);
+
+    /**
+     * Thumbs up or down for a question played in the room - only the player
+     * hears back
+     */
+    socket.on('rate_question', async (data) => {
+      try {
+        const { roomId, questionId, thumb } = data || {};
+
+        if (!roomId) {
+          socket.emit('error', { message: socket.t('rooms.idRequired') });
           return;
         }
-        
-        if (updatedRoom.gameEnded) {
-          // Game ended
-          io.to(`room:${roomId}`).emit('game_ended', {
-            message: 'Game completed! All 10 rounds finished.',
-            room: updatedRoom
-          });
-        } else {
-          // Broadcast new turn with new questions
-          io.to(`room:${roomId}`).emit('turn_rotated', {
-            room: updatedRoom,
-            questions: updatedRoom.questions || [],
-            currentPlayerTurn: updatedRoom.currentPlayerTurn,
-            round: updatedRoom.round
-          });
-          
-          // Also emit player_turn_changed for consistency
-          io.to(`room:${roomId}`).emit('player_turn_changed', {
-            playerId: updatedRoom.currentPlayerTurn,
-            room: updatedRoom
-          });
-        }
 
-        console.log(`🔄 Host rotated turn in room ${roomId}`);
+        const stats = await roomService.rateQuestion(roomId, socket.userId, questionId, thumb);
+
+        socket.emit('question_rated', {
+          questionId,
+          thumb,
+          thumbsUp: stats.thumbsUp,
+          thumbsDown: stats.thumbsDown,
+          popularity: stats.popularity
+        });
       } catch (error) {
-        console.error('Error rotating turn:', error);
-        socket.emit('error', { message: error.message || 'An error occurred while rotating turn' });
+        console.error('Error rating question:', error);
+        socket.emit('error', { message: socket.t(error) });
+      }
+    });
+
+    /**
+     * Report a question or what another player wrote (see
+     * POST /api/moderation/reports) - only the reporter hears back
+     */
+    socket.on('report', async (data) => {
+      try {
+        const report = await reportService.createReport({
+          userId: socket.userId,
+          username: socket.user.displayName || socket.user.username || 'Anonymous'
+        }, data || {});
+
+        socket.emit('report_received', {
+          reportId: report.id,
+          target: report.target,
+          message: socket.t('moderation.reported')
+        });
+      } catch (error) {
+        console.error('Error reporting:', error);
+        socket.emit('error', { message: socket.t(error) });
       }
     });
 
@@ -584,12 +741,21 @@ const initialize = (io) => {
           roomConnections.delete(roomId);
         }
       });
+
+      // Spectators only count while they are connected
+      socket.spectating.forEach(roomId => {
+        stopWatching(roomId).catch(error => console.error('Error removing spectator:', error));
+      });
     });
   });
 };
 
 module.exports = {
   initialize,
+  broadcastGameStarted,
+  broadcastGamePaused,
+  broadcastGameResumed,
+  removeFromRoom,
   activeConnections,
   roomConnections
 };